@@ -1,5 +1,11 @@
 // Digital Library JavaScript - This file controls all the interactive features
 import { createClient } from '@supabase/supabase-js';
+import { createLibraryStore } from './storage/libraryStore.js';
+import { LocalLibraryStore } from './storage/localLibraryStore.js';
+import { planMigration, runMigration } from './storage/libraryMigration.js';
+import { subscribeToLibraryChanges } from './storage/libraryRealtime.js';
+import { parseImportFile, planImport, commitImport } from './storage/libraryImport.js';
+import { toBibtex, toRis } from './storage/citations.js';
 
 // Initialize Supabase client
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
@@ -52,6 +58,10 @@ let libraryItems = []; // This array will store all your books and papers
 let currentSection = 'library'; // Tracks which section we're currently viewing
 let currentTheme = 'white'; // Current theme color for the floating dock
 let currentUser = null; // Current authenticated user
+let libraryStore = null; // Storage adapter for the library (see storage/libraryStore.js)
+let selectedResultMetadata = {}; // Identifiers of the search result picked in the add form
+let unsubscribeLibraryChanges = null; // Stops Realtime updates from other devices
+const pendingItemWrites = new Set(); // IDs of items this tab is saving; Realtime echoes of them are skipped
 
 // AUTHENTICATION FUNCTIONS
 // Check if user is authenticated and redirect if not
@@ -112,7 +122,7 @@ class SemanticScholarService {
         try {
             console.log('🔬 Searching Semantic Scholar for:', query, retryCount > 0 ? `(Retry ${retryCount}/${maxRetries})` : '');
             
-            const fields = 'title,authors,year,abstract,citationCount,venue,publicationDate,openAccessPdf';
+            const fields = 'title,authors,year,abstract,citationCount,venue,publicationDate,openAccessPdf,externalIds';
             const url = `https://api.semanticscholar.org/graph/v1/paper/search?query=${encodeURIComponent(query)}&limit=10&fields=${fields}`;
             
             console.log('🔗 Request URL:', url);
@@ -173,6 +183,7 @@ class SemanticScholarService {
             citedBy: paper.citationCount || 0,
             venue: paper.venue || 'Unknown Venue',
             pdfUrl: paper.openAccessPdf?.url || null,
+            doi: paper.externalIds?.DOI || null,
             category: 'Research',
             type: 'Paper',
             source: 'semantic_scholar',
@@ -276,6 +287,7 @@ document.addEventListener('DOMContentLoaded', async function() {
     setupTypingEffect();
     setupPlanetControls();
     setupOverlaySearch();
+    setupImport();
     
     // Load saved view preference
     loadSavedView();
@@ -383,6 +395,9 @@ function setupMainNavigation() {
             } else if (action === 'stats') {
                 openModal('stats-modal');
                 displayStatistics();
+            } else if (action === 'import') {
+                resetImportModal();
+                openModal('import-modal');
             } else if (action === 'signout') {
                 signOut();
             } else if (section === 'search') {
@@ -507,14 +522,7 @@ function setupMainNavigation() {
 function applyFilters() {
     const currentView = localStorage.getItem('currentView') || 'masonry';
     
-    // Filter the library items by status only
-    let filteredItems = libraryItems.filter(item => {
-        // Status filter
-        if (activeFilters.status !== 'all' && item.status !== activeFilters.status) {
-            return false;
-        }
-        return true;
-    });
+    const filteredItems = getFilteredItems();
     
     // Update the display with filtered items
     if (currentView === 'masonry') {
@@ -524,6 +532,18 @@ function applyFilters() {
     }
 }
 
+// This function returns the library items that pass the active filters
+function getFilteredItems() {
+    // Filter the library items by status only
+    return libraryItems.filter(item => {
+        // Status filter
+        if (activeFilters.status !== 'all' && item.status !== activeFilters.status) {
+            return false;
+        }
+        return true;
+    });
+}
+
 // MASONRY VIEW SYSTEM
 // This function switches between planet and masonry views
 function switchToView(viewType) {
@@ -647,7 +667,7 @@ function createMasonryItem(item, index) {
     }
     
     return `
-        <div class="masonry-item" data-item-index="${index}" style="animation-delay: ${index * 0.05}s;">
+        <div class="masonry-item" data-item-id="${item.id}" style="animation-delay: ${index * 0.05}s;">
             <div class="masonry-cover">
                 ${coverHTML}
             </div>
@@ -713,25 +733,28 @@ function updateMasonryDisplay(itemsToDisplay = null) {
     
     // Add click handlers and animate items
     setTimeout(() => {
-        masonryGrid.querySelectorAll('.masonry-item').forEach((itemElement, displayIndex) => {
-            itemElement.classList.add('animate');
-            
-            itemElement.addEventListener('click', function(e) {
-                // Don't trigger if clicking delete button
-                if (e.target.closest('.masonry-delete-btn')) {
-                    return;
-                }
-                
-                const itemIndex = parseInt(this.getAttribute('data-item-index'));
-                const selectedItem = items[itemIndex];
-                if (selectedItem) {
-                    openEditModal(selectedItem);
-                }
-            });
-        });
+        masonryGrid.querySelectorAll('.masonry-item').forEach(setupMasonryItem);
     }, 100);
 }
 
+// Animate a masonry card and open the edit modal when it's clicked
+function setupMasonryItem(itemElement) {
+    itemElement.classList.add('animate');
+    
+    itemElement.addEventListener('click', function(e) {
+        // Don't trigger if clicking delete button
+        if (e.target.closest('.masonry-delete-btn')) {
+            return;
+        }
+        
+        // Looked up on click, so the card always opens the current copy of the item
+        const selectedItem = libraryItems.find(item => String(item.id) === this.dataset.itemId);
+        if (selectedItem) {
+            openEditModal(selectedItem);
+        }
+    });
+}
+
 // Load saved view preference
 function loadSavedView() {
     const savedView = localStorage.getItem('currentView');
@@ -1279,6 +1302,9 @@ function setupAddForm() {
                 const selectedItem = results[itemIndex];
                 
                 if (selectedItem) {
+                    // Keep the identifiers the form has no fields for
+                    selectedResultMetadata = getResultMetadata(selectedItem);
+                    
                     // Fill form with selected item data
                     document.getElementById('item-title').value = selectedItem.title || '';
                     document.getElementById('item-author').value = selectedItem.author || '';
@@ -1317,22 +1343,7 @@ function setupAddForm() {
                     }
                     
                     // Enhanced auto-filling for language
-                    const languageValue = selectedItem.language || 'english';
-                    // Convert language code to readable format
-                    const languageMap = {
-                        'en': 'english',
-                        'de': 'german',
-                        'fr': 'french',
-                        'es': 'spanish',
-                        'it': 'italian',
-                        'pt': 'portuguese',
-                        'ru': 'russian',
-                        'zh': 'mandarin',
-                        'ja': 'japanese',
-                        'ko': 'korean'
-                    };
-                    const normalizedLanguage = languageMap[languageValue.toLowerCase()] || languageValue.toLowerCase() || 'english';
-                    document.getElementById('item-language').value = normalizedLanguage;
+                    document.getElementById('item-language').value = normalizeLanguage(selectedItem.language);
                     
                     document.getElementById('item-url').value = selectedItem.link || selectedItem.infoLink || '';
                     
@@ -1488,6 +1499,8 @@ function setupAddForm() {
         
         // Create the item object with all fields
         const itemData = {
+            // Identifiers from the picked search result; edits keep the item's own
+            ...(isEditing ? {} : selectedResultMetadata),
             id: isEditing ? window.currentEditingItem.id : Date.now(), // Keep existing ID or create new
             title: formData.get('title'),
             author: formData.get('author'),
@@ -1508,9 +1521,10 @@ function setupAddForm() {
         };
         
         if (isEditing) {
-            // Update existing item
-            updateLibraryItem(itemData);
-            showNotification('Item updated successfully!', 'success');
+            // Update existing item; shown immediately, confirmed once saved
+            updateLibraryItem(itemData).then(saved => {
+                if (saved) showNotification('Item updated successfully!', 'success');
+            });
         } else {
             // Add new item
             addLibraryItem(itemData);
@@ -1525,6 +1539,39 @@ function setupAddForm() {
     });
 }
 
+// Identifiers and citation details of a search result
+// These have no form fields but are saved with the item (see storage/itemMapper.js)
+function getResultMetadata(result) {
+    if (result.source === 'google_books') {
+        return {
+            source: 'google_books',
+            googleBooksId: result.id.replace(/^google_/, ''),
+            isbn: result.isbn === 'No ISBN' ? '' : result.isbn
+        };
+    }
+    if (result.source === 'semantic_scholar') {
+        return {
+            source: 'semantic_scholar',
+            semanticScholarId: result.id.replace(/^semantic_/, ''),
+            doi: result.doi || '',
+            venue: result.venue === 'Unknown Venue' ? '' : result.venue,
+            citedBy: result.citedBy ?? null,
+            pdfUrl: result.pdfUrl || ''
+        };
+    }
+    // A copy of an item already in the library ('library' marks it in search results)
+    return {
+        source: result.source === 'library' ? '' : result.source,
+        googleBooksId: result.googleBooksId,
+        semanticScholarId: result.semanticScholarId,
+        isbn: result.isbn,
+        doi: result.doi,
+        venue: result.venue,
+        citedBy: result.citedBy,
+        pdfUrl: result.pdfUrl
+    };
+}
+
 // Function to reset the add modal to its default state
 function resetAddModal() {
     const form = document.getElementById('add-item-form');
@@ -1562,6 +1609,9 @@ function resetAddModal() {
     // Reset type to Book
     document.getElementById('item-type').value = 'Book';
     
+    // Clear scan field highlights
+    highlightExtractionErrors({});
+    
     // Reset submit button text
     submitBtn.textContent = 'Add to Library';
     
@@ -1576,6 +1626,7 @@ function resetAddModal() {
         
     // Clear editing state
     window.currentEditingItem = null;
+    selectedResultMetadata = {};
     
     // Clear search results
     const searchResults = document.getElementById('add-modal-search-results');
@@ -1585,26 +1636,51 @@ function resetAddModal() {
 }
 
 // Function to update an existing library item
-function updateLibraryItem(updatedItem) {
+// The change is shown right away and rolled back if saving it fails.
+async function updateLibraryItem(updatedItem) {
     console.log('Updating library item:', updatedItem);
     
     // Find the item in the library array by ID
     const itemIndex = libraryItems.findIndex(item => item.id === updatedItem.id);
+    if (itemIndex === -1) {
+        console.error('Item not found for update');
+        showNotification('Error: Item not found for update', 'error');
+        return false;
+    }
     
-    if (itemIndex !== -1) {
-        // Update the item
-        libraryItems[itemIndex] = updatedItem;
-        
-        // Save to storage
-        saveLibraryData();
+    // Optimistic update: fields the form doesn't edit are kept
+    const previousItem = libraryItems[itemIndex];
+    const optimisticItem = { ...previousItem, ...updatedItem, dateModified: new Date().toISOString() };
+    libraryItems[itemIndex] = optimisticItem;
+    updateLibraryDisplay();
+    
+    pendingItemWrites.add(updatedItem.id);
+    try {
+        const savedItem = await libraryStore.update(updatedItem.id, updatedItem);
         
-        // Update the display
-        updateLibraryDisplay();
+        // Take the stored copy (e.g. date_modified as saved); skip if the item changed again meanwhile
+        const currentIndex = libraryItems.indexOf(optimisticItem);
+        if (currentIndex !== -1) {
+            libraryItems[currentIndex] = { ...optimisticItem, ...savedItem };
+            updateLibraryDisplay();
+        }
         
         console.log('Item updated successfully');
-    } else {
-        console.error('Item not found for update');
-        showNotification('Error: Item not found for update', 'error');
+        return true;
+    } catch (error) {
+        console.error('Failed to save item update:', error);
+        
+        // Roll back unless a later edit has replaced the optimistic copy
+        const currentIndex = libraryItems.indexOf(optimisticItem);
+        if (currentIndex !== -1) {
+            libraryItems[currentIndex] = previousItem;
+            updateLibraryDisplay();
+        }
+        
+        showNotification('Error saving changes: ' + error.message, 'error');
+        return false;
+    } finally {
+        pendingItemWrites.delete(updatedItem.id);
     }
 }
 
@@ -1622,78 +1698,21 @@ function isValidImageUrl(url) {
 async function addLibraryItem(item) {
     console.log('➕ Adding new item:', item);
     
-    // If user is authenticated, save directly to Supabase
-    if (currentUser && supabase) {
-        try {
-            console.log('💾 Saving directly to Supabase...');
-            
-            const dbItem = {
-                user_id: currentUser.id,
-                title: item.title || 'Untitled',
-                author: item.author || null,
-                type: (item.type || 'book').toLowerCase(), // Ensure lowercase for database constraint
-                category: item.category || null,
-                status: item.status || null,
-                language: item.language || null,
-                url: item.url || null,
-                summary: item.summary || null,
-                notes: item.notes || null,
-                publishing_year: item.publishingYear || null,
-                cover_url: item.coverUrl || item.coverImage || null,
-                cover_image: item.coverUrl || item.coverImage || null
-            };
-            
-            // Add numeric fields with conversion
-            if (item.publishingYear) {
-                const yearNum = parseInt(item.publishingYear);
-                if (!isNaN(yearNum)) dbItem.year = yearNum;
-            }
-            if (item.pages) {
-                const pagesNum = parseInt(item.pages);
-                if (!isNaN(pagesNum)) dbItem.pages = pagesNum;
-            }
-            if (item.rating) {
-                const ratingNum = parseFloat(item.rating);
-                if (!isNaN(ratingNum)) dbItem.rating = ratingNum;
-            }
-            if (item.difficulty) {
-                const diffNum = parseInt(item.difficulty);
-                if (!isNaN(diffNum) && diffNum >= 1 && diffNum <= 5) {
-                    dbItem.difficulty = diffNum;
-                }
-            }
-            
-            console.log('💾 Inserting item to Supabase:', dbItem);
-            
-            const { data: insertedData, error } = await supabase
-                .from('libraries')
-                .insert([dbItem])
-                .select();
-            
-            if (error) {
-                console.error('❌ Supabase insert error:', error);
-                throw error;
-            }
-            
-            console.log('✅ Item saved to Supabase!', insertedData);
-            
-            // Add to local array with database ID
-            if (insertedData && insertedData[0]) {
-                item.id = insertedData[0].id;
-            }
-            libraryItems.push(item);
-            
-        } catch (error) {
-            console.error('Failed to save to Supabase:', error);
-            showNotification('Error saving item: ' + error.message, 'error');
-            // Don't add to local array if database save failed
-            return;
+    try {
+        // The stored copy carries the ID assigned by the storage backend
+        const savedItem = await libraryStore.create(item);
+        // Realtime may already have delivered this insert
+        const existingIndex = libraryItems.findIndex(existing => existing.id === savedItem.id);
+        if (existingIndex !== -1) {
+            libraryItems[existingIndex] = savedItem;
+        } else {
+            libraryItems.push(savedItem);
         }
-    } else {
-        // No authentication, use localStorage
-        console.log('💾 No auth, saving to localStorage');
-        libraryItems.push(item);
-        localStorage.setItem('digitalLibrary', JSON.stringify(libraryItems));
+    } catch (error) {
+        console.error('Failed to save item:', error);
+        showNotification('Error saving item: ' + error.message, 'error');
+        // Don't add to local array if the save failed
+        return;
     }
     
     // Update the display
@@ -1705,8 +1724,6 @@ async function addLibraryItem(item) {
 // Function to delete an item from the library
 async function deleteLibraryItem(itemId) {
     console.log('🗑️ Delete function called with ID:', itemId);
-    console.log('🗑️ Current user:', currentUser);
-    console.log('🗑️ Supabase client:', supabase);
     
     // Find the item
     const itemIndex = libraryItems.findIndex(item => item.id === itemId);
@@ -1718,41 +1735,20 @@ async function deleteLibraryItem(itemId) {
     
     const deletedItem = libraryItems[itemIndex];
     
-    // If user is authenticated, delete from Supabase
-    if (currentUser && supabase) {
-        try {
-            console.log('🗑️ Deleting from Supabase...');
-            
-            const { error } = await supabase
-                .from('libraries')
-                .delete()
-                .eq('id', itemId)
-                .eq('user_id', currentUser.id); // Extra safety check
-            
-            if (error) {
-                console.error('❌ Supabase delete error:', error);
-                throw error;
-            }
-            
-            console.log('✅ Item deleted from Supabase!');
-            
-        } catch (error) {
-            console.error('Failed to delete from Supabase:', error);
-            showNotification('Error deleting item: ' + error.message, 'error');
-            return;
-        }
-    } else {
-        // No authentication, use localStorage
-        console.log('🗑️ No auth, updating localStorage');
+    pendingItemWrites.add(itemId);
+    try {
+        await libraryStore.remove(itemId);
+    } catch (error) {
+        console.error('Failed to delete item:', error);
+        showNotification('Error deleting item: ' + error.message, 'error');
+        return;
+    } finally {
+        pendingItemWrites.delete(itemId);
     }
     
-    // Remove from local array
-    libraryItems.splice(itemIndex, 1);
-    
-    // Save to localStorage as backup
-    if (!currentUser) {
-        localStorage.setItem('digitalLibrary', JSON.stringify(libraryItems));
-    }
+    // Remove from local array (unless Realtime already did)
+    const currentIndex = libraryItems.findIndex(item => item.id === itemId);
+    if (currentIndex !== -1) libraryItems.splice(currentIndex, 1);
     
     // Update the display
     updateLibraryDisplay();
@@ -1779,12 +1775,26 @@ window.testDelete = function() {
 // Function to clear all library data (including dummy data)
 function clearAllLibraryData() {
     if (confirm('Are you sure you want to clear ALL library data? This cannot be undone.')) {
-        libraryItems = [];
-        localStorage.removeItem('digitalLibrary');
-        updateLibraryDisplay();
-        showNotification('All library data cleared successfully!', 'info');
-        console.log('All library data cleared');
+        clearStoredLibrary().then(cleared => {
+            if (!cleared) return;
+            showNotification('All library data cleared successfully!', 'info');
+            console.log('All library data cleared');
+        });
+    }
+}
+
+// Delete every item from storage and empty the library
+async function clearStoredLibrary() {
+    try {
+        await libraryStore.bulkRemove(libraryItems.map(item => item.id));
+    } catch (error) {
+        console.error('Failed to clear library:', error);
+        showNotification('Error clearing library: ' + error.message, 'error');
+        return false;
     }
+    libraryItems = [];
+    updateLibraryDisplay();
+    return true;
 }
 
 // Make clearAllLibraryData globally accessible
@@ -1793,22 +1803,22 @@ window.clearAllLibraryData = clearAllLibraryData;
 // Function to delete all items except "Attention Is All You Need"
 function deleteAllExceptAttention() {
     if (confirm('Are you sure you want to delete all items except "Attention Is All You Need"? This cannot be undone.')) {
-        const originalLength = libraryItems.length;
-        libraryItems = libraryItems.filter(item => 
-            item.title.toLowerCase().includes('attention is all you need')
-        );
-        
-        const deletedCount = originalLength - libraryItems.length;
-        
-        // Save the updated data
-        saveLibraryData();
-        
-        // Update the display
-        updateLibraryDisplay();
+        const isAttention = item => item.title.toLowerCase().includes('attention is all you need');
+        const toDelete = libraryItems.filter(item => !isAttention(item));
         
-        // Show notification
-        showNotification(`Deleted ${deletedCount} items. Kept "Attention Is All You Need".`, 'info');
-        console.log(`Deleted ${deletedCount} items, kept ${libraryItems.length} items`);
+        libraryStore.bulkRemove(toDelete.map(item => item.id)).then(() => {
+            libraryItems = libraryItems.filter(isAttention);
+            
+            // Update the display
+            updateLibraryDisplay();
+            
+            // Show notification
+            showNotification(`Deleted ${toDelete.length} items. Kept "Attention Is All You Need".`, 'info');
+            console.log(`Deleted ${toDelete.length} items, kept ${libraryItems.length} items`);
+        }).catch(error => {
+            console.error('Failed to delete items:', error);
+            showNotification('Error deleting items: ' + error.message, 'error');
+        });
     }
 }
 
@@ -2041,6 +2051,7 @@ function createPlanetParticle(item, index, planet) {
     
     // Add tooltip
     particle.title = `${item.title} - ${item.author || 'Unknown Author'} (${itemType})`;
+    particle.dataset.itemId = item.id;
     
     // Add delete button
     const deleteBtn = document.createElement('button');
@@ -2335,7 +2346,7 @@ function displayStatistics() {
 
 // UTILITY FUNCTIONS
 // This function shows notifications to the user
-function showNotification(message, type = 'info') {
+function showNotification(message, type = 'info', duration = 3000) {
     console.log(`Notification (${type}): ${message}`);
     
     // Create notification element
@@ -2365,10 +2376,35 @@ function showNotification(message, type = 'info') {
     // Add to page
     document.body.appendChild(notification);
     
-    // Remove after 3 seconds
+    // Remove after 3 seconds (or `duration` ms)
     setTimeout(() => {
         notification.remove();
-    }, 3000);
+    }, duration);
+}
+
+// This function converts a language code (e.g. 'en' from Google Books) to the form's language value
+function normalizeLanguage(language) {
+    const languageValue = (language || 'english').toLowerCase();
+    const languageMap = {
+        'en': 'english',
+        'de': 'german',
+        'fr': 'french',
+        'es': 'spanish',
+        'it': 'italian',
+        'pt': 'portuguese',
+        'ru': 'russian',
+        'zh': 'mandarin',
+        'ja': 'japanese',
+        'ko': 'korean'
+    };
+    return languageMap[languageValue] || languageValue;
+}
+
+// This function escapes text before it is inserted into HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
 }
 
 // This function shows detailed information about an item
@@ -2515,205 +2551,224 @@ function showItemDetails(item) {
 }
 
 // DATA STORAGE FUNCTIONS
-// This function is now a no-op since we save items individually
-// Kept for backward compatibility with existing code
+// Persists the whole libraryItems array, for callers that edit it in place.
+// Only the local adapter stores the library as one array; the other adapters
+// save items individually in addLibraryItem/deleteLibraryItem.
 async function saveLibraryData() {
-    console.log('💾 saveLibraryData called (legacy - items are now saved individually)');
+    if (libraryStore && libraryStore.replaceAll) {
+        await libraryStore.replaceAll(libraryItems);
+    }
+}
+
+// Pick the storage adapter for the current session
+function initLibraryStore() {
+    libraryStore?.close?.();
+    unsubscribeLibraryChanges?.();
+    unsubscribeLibraryChanges = null;
+    libraryStore = createLibraryStore({
+        kind: import.meta.env.VITE_LIBRARY_STORE || 'supabase',
+        supabase,
+        user: currentUser,
+        apiBaseUrl: import.meta.env.VITE_API_BASE_URL || ''
+    });
+    console.log('📚 Library storage:', libraryStore.kind);
+    
+    // Offline-capable stores report queued changes and sync in the background
+    libraryStore.onStatusChange = renderSyncStatus;
+    libraryStore.onSync = items => {
+        libraryItems = items;
+        updateLibraryDisplay();
+    };
+    renderSyncStatus(libraryStore.status);
     
-    // If not using Supabase, fall back to localStorage
-    if (!currentUser || !supabase) {
-        console.log('💾 Saving to localStorage as fallback');
-        localStorage.setItem('digitalLibrary', JSON.stringify(libraryItems));
+    // Other devices' changes come straight from the Supabase table
+    if (libraryStore.kind === 'supabase') {
+        unsubscribeLibraryChanges = subscribeToLibraryChanges(supabase, currentUser.id, applyRemoteLibraryChange);
+    }
+}
+
+// Apply an item added, edited or deleted on another device
+// Echoes of this tab's own writes are recognized and skipped: the item is
+// being saved here, is already gone, or is already at that version.
+function applyRemoteLibraryChange(change) {
+    const id = change.type === 'delete' ? change.id : change.item.id;
+    if (pendingItemWrites.has(id)) return;
+    
+    const index = libraryItems.findIndex(item => item.id === id);
+    if (change.type === 'delete') {
+        if (index === -1) return;
+        libraryItems.splice(index, 1);
+    } else {
+        const existing = libraryItems[index];
+        if (existing && existing.dateModified && change.item.dateModified &&
+            new Date(existing.dateModified) >= new Date(change.item.dateModified)) {
+            return;
+        }
+        // Items created offline in this tab get their stored ID while syncing;
+        // the sync reloads the library when it finishes
+        if (!existing && libraryStore.status?.syncing) return;
+        
+        if (existing) {
+            libraryItems[index] = change.item;
+        } else {
+            libraryItems.push(change.item);
+        }
     }
-    return; // Items are saved individually in addLibraryItem now
     
-    console.log('💾 currentUser:', currentUser);
-    console.log('💾 libraryItems count:', libraryItems.length);
+    console.log(`📡 Library item ${change.type === 'delete' ? 'deleted' : 'saved'} on another device:`, id);
+    libraryStore.applyRemoteChange?.(change);
+    refreshDisplayedItem(id);
+}
+
+// Show one item's change without rebuilding the whole view
+function refreshDisplayedItem(id) {
+    const item = libraryItems.find(existing => existing.id === id);
+    const visible = item && (activeFilters.status === 'all' || item.status === activeFilters.status);
+    const currentView = localStorage.getItem('currentView') || 'masonry';
     
-    // Try Supabase first if user is authenticated
-    if (currentUser) {
-        try {
-            console.log('💾 Saving library data to Supabase for user:', currentUser.email);
-            console.log('💾 User ID:', currentUser.id);
-            
-            // Delete existing items for this user
-            const { error: deleteError } = await supabase
-                .from('libraries')
-                .delete()
-                .eq('user_id', currentUser.id);
-                
-            if (deleteError) {
-                console.error('Error deleting existing items:', deleteError);
-                throw deleteError;
-            }
-            
-            // Insert new items
-            if (libraryItems.length > 0) {
-                console.log(`💾 Preparing to insert ${libraryItems.length} items...`);
-                
-                const itemsToSave = libraryItems.map(item => {
-                    const dbItem = {
-                        user_id: currentUser.id,
-                        title: item.title || 'Untitled',
-                        author: item.author || null,
-                        type: item.type || 'book',
-                        category: item.category || null,
-                        status: item.status || null,
-                        language: item.language || null,
-                        url: item.url || null,
-                        summary: item.summary || null,
-                        notes: item.notes || null
-                    };
-                    
-                    // Add year - handle both string and number
-                    if (item.publishingYear) {
-                        const yearNum = parseInt(item.publishingYear);
-                        if (!isNaN(yearNum)) {
-                            dbItem.year = yearNum;
-                        }
-                        dbItem.publishing_year = item.publishingYear;
-                    }
-                    
-                    // Add pages - convert to integer
-                    if (item.pages) {
-                        const pagesNum = parseInt(item.pages);
-                        if (!isNaN(pagesNum)) {
-                            dbItem.pages = pagesNum;
-                        }
-                    }
-                    
-                    // Add rating - convert to decimal
-                    if (item.rating) {
-                        const ratingNum = parseFloat(item.rating);
-                        if (!isNaN(ratingNum)) {
-                            dbItem.rating = ratingNum;
-                        }
-                    }
-                    
-                    // Add difficulty - convert to integer (1-5)
-                    if (item.difficulty) {
-                        const diffNum = parseInt(item.difficulty);
-                        if (!isNaN(diffNum) && diffNum >= 1 && diffNum <= 5) {
-                            dbItem.difficulty = diffNum;
-                        }
-                    }
-                    
-                    // Add cover images
-                    if (item.coverUrl || item.coverImage) {
-                        dbItem.cover_url = item.coverUrl || item.coverImage;
-                        dbItem.cover_image = item.coverUrl || item.coverImage;
-                    }
-                    
-                    return dbItem;
-                });
-                
-                console.log(`💾 Items to save:`, itemsToSave);
-                
-                const { data: insertedData, error: insertError } = await supabase
-                    .from('libraries')
-                    .insert(itemsToSave)
-                    .select();
-                    
-                if (insertError) {
-                    console.error('❌ Error inserting items:', insertError);
-                    console.error('❌ Error code:', insertError.code);
-                    console.error('❌ Error message:', insertError.message);
-                    console.error('❌ Error details:', insertError.details);
-                    throw insertError;
-                }
-                
-                console.log(`✅ Insert successful! Inserted data:`, insertedData);
-            }
-            
-            console.log(`✅ Successfully saved ${libraryItems.length} items to Supabase for user ${currentUser.email}`);
-            console.log(`✅ Save complete! Data is now in database.`);
-            return; // Success, exit early
-        } catch (error) {
-            console.error('Failed to save to Supabase, falling back to localStorage:', error);
-            // Fall through to localStorage fallback
+    if (currentView !== 'masonry') {
+        // Particle positions depend on the number of items, so only edits are done in place
+        const planet = document.getElementById('knowledge-planet');
+        const particle = planet?.querySelector(`.planet-particle[data-item-id="${id}"]`);
+        if (particle && visible) {
+            const holder = document.createElement('div');
+            createPlanetParticle(item, libraryItems.indexOf(item), holder);
+            particle.replaceWith(holder.firstElementChild);
+        } else if (particle || visible) {
+            updateLibraryDisplay();
         }
+        return;
     }
     
-    // Fallback to localStorage (works even without authentication)
-    try {
-        console.log('Saving library data to localStorage...');
-        localStorage.setItem('digitalLibrary', JSON.stringify(libraryItems));
-        console.log(`Successfully saved ${libraryItems.length} items to localStorage`);
-    } catch (error) {
-        console.error('Failed to save to localStorage:', error);
-        showNotification('Failed to save library data', 'error');
+    const masonryGrid = document.getElementById('masonry-grid');
+    const card = masonryGrid.querySelector(`.masonry-item[data-item-id="${id}"]`);
+    const cardCount = masonryGrid.querySelectorAll('.masonry-item').length;
+    
+    // The empty-library message is only shown and removed by a full render
+    const lastCardRemoved = !visible && card && cardCount === 1;
+    const firstCardAdded = visible && cardCount === 0;
+    if (lastCardRemoved || firstCardAdded) {
+        applyFilters();
+        return;
+    }
+    if (!visible) {
+        card?.remove();
+        return;
+    }
+    
+    const holder = document.createElement('div');
+    holder.innerHTML = createMasonryItem(item, 0);
+    const newCard = holder.firstElementChild;
+    setupMasonryItem(newCard);
+    if (card) {
+        card.replaceWith(newCard);
+    } else {
+        masonryGrid.appendChild(newCard);
     }
 }
 
-// This function loads library data from Supabase database
-async function loadLibraryData() {
-    // Try Supabase first if user is authenticated
-    if (currentUser) {
-        try {
-            console.log('Loading library data from Supabase for user:', currentUser.email);
-            console.log('User ID:', currentUser.id);
-            
-            const { data, error } = await supabase
-                .from('libraries')
-                .select('*')
-                .eq('user_id', currentUser.id)
-                .order('date_added', { ascending: false });
-                
-            if (error) {
-                console.error('Error loading library data:', error);
-                throw error;
-            }
-            
-            // Transform database format back to app format
-            libraryItems = (data || []).map(item => ({
-                id: item.id,
-                title: item.title,
-                author: item.author || '',
-                type: item.type,
-                publishingYear: item.publishing_year || item.year?.toString() || '',
-                pages: item.pages?.toString() || '',
-                rating: item.rating?.toString() || '0',
-                difficulty: item.difficulty?.toString() || 'medium',
-                language: item.language || '',
-                category: item.category || '',
-                status: item.status || 'unread',
-                summary: item.summary || '',
-                coverUrl: item.cover_url || item.cover_image || '',
-                coverImage: item.cover_url || item.cover_image || '',
-                isbn: item.isbn || '',
-                doi: item.doi || '',
-                url: item.url || ''
-            }));
-            
-            console.log(`✅ Loaded ${libraryItems.length} items from Supabase for user ${currentUser.email}`);
-            
-            // Clear localStorage to avoid confusion
-            localStorage.removeItem('digitalLibrary');
-            console.log('Cleared localStorage - now using Supabase only');
-            
-            return; // Success, exit early
-        } catch (error) {
-            console.error('Failed to load from Supabase, falling back to localStorage:', error);
-            // Fall through to localStorage fallback
-        }
+// Show offline state and changes still waiting to be synced
+function renderSyncStatus(status) {
+    const indicator = document.getElementById('sync-status');
+    if (!indicator) return;
+    
+    let text = '';
+    let state = '';
+    if (status && !status.online) {
+        text = status.pending > 0 ? `Offline · ${status.pending} pending` : 'Offline';
+        state = 'offline';
+    } else if (status?.syncing && status.pending > 0) {
+        text = `Syncing ${status.pending}…`;
+        state = 'syncing';
+    } else if (status?.pending > 0) {
+        text = `${status.pending} pending`;
+        state = 'pending';
+    } else if (status?.error) {
+        text = 'Sync error';
+        state = 'error';
+    } else if (status?.skipped > 0) {
+        // Offline changes that lost to a later edit on another device
+        text = `${status.skipped} not synced`;
+        state = 'skipped';
     }
     
-    // Fallback to localStorage (works even without authentication)
+    indicator.textContent = text;
+    indicator.dataset.state = state;
+    indicator.title = status?.error ||
+        (status?.pending ? 'Changes are saved on this device and will sync when online' : '') ||
+        (state === 'skipped' ? 'These items were changed later on another device, so that version was kept' : '');
+    indicator.hidden = !text;
+}
+
+// This function loads library data through the storage adapter
+async function loadLibraryData() {
+    initLibraryStore();
+    
     try {
-        console.log('Loading library data from localStorage...');
-        const savedData = localStorage.getItem('digitalLibrary');
-        if (savedData) {
-            libraryItems = JSON.parse(savedData);
-            console.log(`Loaded ${libraryItems.length} items from localStorage`);
-        } else {
-            libraryItems = [];
-            console.log('No saved data found in localStorage');
-        }
+        libraryItems = await libraryStore.list();
+        console.log(`✅ Loaded ${libraryItems.length} items from ${libraryStore.kind} storage`);
+        
     } catch (error) {
-        console.error('Failed to load from localStorage:', error);
+        console.error('Failed to load library data:', error);
         showNotification('Failed to load library data', 'error');
         libraryItems = [];
+        return;
+    }
+    
+    if (libraryStore.kind !== 'local') {
+        await migrateLocalLibrary();
+    }
+}
+
+// Offer to add items saved in this browser while signed out to the account
+// Declining keeps them in localStorage and asks again next session.
+async function migrateLocalLibrary() {
+    const localStore = new LocalLibraryStore();
+    const localItems = await localStore.list();
+    if (localItems.length === 0 || sessionStorage.getItem('libraryMigrationDeclined')) return;
+    
+    const count = localItems.length;
+    const plan = planMigration(localItems, libraryItems);
+    const question = `This browser has ${count} item${count === 1 ? '' : 's'} saved while you were signed out. ` +
+        `Add ${count === 1 ? 'it' : 'them'} to your account?\n\n` +
+        `${plan.added.length} new, ${count - plan.added.length} already in your account ` +
+        `(empty fields there are filled in; nothing is overwritten).`;
+    if (!confirm(question)) {
+        sessionStorage.setItem('libraryMigrationDeclined', 'true');
+        return;
+    }
+    
+    // Show what reached the account, also when the migration stopped partway
+    const applyMigrated = ({ created, updated }) => {
+        libraryItems.push(...created);
+        for (const item of updated) {
+            const index = libraryItems.findIndex(existing => existing.id === item.id);
+            if (index !== -1) libraryItems[index] = item;
+        }
+    };
+    
+    try {
+        applyMigrated(await runMigration(libraryStore, plan));
+        // Kept as digitalLibraryBackup in case anything was missed
+        localStore.archive();
+    } catch (error) {
+        console.error('Failed to move local library into account:', error);
+        if (error.migrated) applyMigrated(error.migrated);
+        showNotification('Error adding local items to your account: ' + error.message, 'error');
+        return;
     }
+    
+    let message = `Local library added: ${plan.added.length} added, ${plan.merged.length} merged, ` +
+        `${plan.skipped.length} skipped, ${plan.conflicted.length} conflicted`;
+    if (plan.conflicted.length > 0) {
+        const shown = plan.conflicted.slice(0, 5).map(item => `${item.title} (${item.conflicts.join(', ')})`);
+        const more = plan.conflicted.length - shown.length;
+        message += `. Kept the account's values for: ${shown.join('; ')}${more > 0 ? ` and ${more} more` : ''}`;
+        console.log('⚠️ Local items that differ from the account copy (account copy kept):',
+            plan.conflicted.map(item => `${item.title}: ${item.conflicts.join(', ')}`));
+    }
+    // Long enough to read the conflicting titles
+    showNotification(message, plan.conflicted.length > 0 ? 'info' : 'success', plan.conflicted.length > 0 ? 10000 : 3000);
 }
 
 // Function to force load dummy data (useful for testing)
@@ -2728,10 +2783,9 @@ function forceLoadDummyData() {
 function clearLibrary() {
     if (confirm('Are you sure you want to clear all library data?')) {
         console.log('Clearing library...');
-        libraryItems = [];
-        localStorage.removeItem('digitalLibrary');
-        updateLibraryDisplay();
-        showNotification('Library cleared successfully!', 'info');
+        clearStoredLibrary().then(cleared => {
+            if (cleared) showNotification('Library cleared successfully!', 'info');
+        });
     }
 }
 
@@ -3024,39 +3078,170 @@ function loadDummyData() {
     console.log(`Loaded ${libraryItems.length} dummy items for demonstration`);
 }
 
-// This function exports library data as JSON
-function exportLibrary() {
-    const dataStr = JSON.stringify(libraryItems, null, 2);
-    const dataBlob = new Blob([dataStr], {type: 'application/json'});
+// Export formats: file contents, MIME type and file name
+const EXPORT_FORMATS = {
+    json: { write: items => JSON.stringify(items, null, 2), type: 'application/json', fileName: 'digital-library-backup.json' },
+    bibtex: { write: toBibtex, type: 'application/x-bibtex', fileName: 'digital-library.bib' },
+    ris: { write: toRis, type: 'application/x-research-info-systems', fileName: 'digital-library.ris' }
+};
+
+// This function exports library data as JSON, BibTeX or RIS
+function exportLibrary(format = 'json', items = libraryItems) {
+    const { write, type, fileName } = EXPORT_FORMATS[format];
+    const dataBlob = new Blob([write(items)], {type});
     const url = URL.createObjectURL(dataBlob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = 'digital-library-backup.json';
+    link.download = fileName;
     link.click();
     URL.revokeObjectURL(url);
 }
 
-// This function imports library data from JSON
-function importLibrary(file) {
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const importedData = JSON.parse(e.target.result);
-            libraryItems = importedData;
-            saveLibraryData();
-            updateLibraryDisplay();
-            showNotification('Library imported successfully!', 'success');
-        } catch (error) {
-            showNotification('Error importing library data', 'error');
-        }
-    };
-    reader.readAsText(file);
+// IMPORT SYSTEM
+// Records read from the chosen file; planned again whenever the mode changes
+let importRecords = null;
+let importPlan = null;
+
+// This function sets up the import/export modal
+function setupImport() {
+    document.querySelectorAll('[data-export-format]').forEach(button => {
+        button.addEventListener('click', function() {
+            const scope = document.getElementById('export-scope').value;
+            const items = scope === 'filtered' ? getFilteredItems() : libraryItems;
+            if (items.length === 0) {
+                showNotification('No items to export', 'info');
+                return;
+            }
+            exportLibrary(this.getAttribute('data-export-format'), items);
+        });
+    });
+    document.getElementById('import-file').addEventListener('change', function() {
+        if (this.files[0]) importLibrary(this.files[0]);
+    });
+    document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+        radio.addEventListener('change', renderImportPreview);
+    });
+    document.getElementById('import-confirm-btn').addEventListener('click', confirmImport);
+}
+
+// Function to clear the import modal for a new file
+function resetImportModal() {
+    importRecords = null;
+    importPlan = null;
+    document.getElementById('import-file').value = '';
+    document.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+    document.getElementById('import-preview').innerHTML = '';
+    const confirmButton = document.getElementById('import-confirm-btn');
+    confirmButton.disabled = true;
+    confirmButton.textContent = 'Import';
+}
+
+// This function reads an import file and previews what importing it would do
+// Nothing is saved until the import is confirmed.
+async function importLibrary(file) {
+    importRecords = null;
+    try {
+        importRecords = parseImportFile(file.name, await file.text());
+        console.log(`📥 Read ${importRecords.length} records from ${file.name}`);
+    } catch (error) {
+        console.error('Failed to read import file:', error);
+        showNotification('Error reading import file: ' + error.message, 'error');
+    }
+    renderImportPreview();
+}
+
+// Function to list new, updated, duplicate and invalid records for the chosen mode
+function renderImportPreview() {
+    const preview = document.getElementById('import-preview');
+    const confirmButton = document.getElementById('import-confirm-btn');
+    
+    if (!importRecords) {
+        importPlan = null;
+        preview.innerHTML = '';
+        confirmButton.disabled = true;
+        return;
+    }
+    
+    const mode = document.querySelector('input[name="import-mode"]:checked').value;
+    importPlan = planImport(importRecords, libraryItems, mode);
+    const { create, update, remove, duplicates, invalid } = importPlan;
+    
+    const titleOf = item => escapeHtml(item.title || 'Untitled');
+    const section = (label, className, entries) => entries.length === 0 ? '' : `
+        <details class="import-group ${className}" ${className === 'invalid' ? 'open' : ''}>
+            <summary>${label} (${entries.length})</summary>
+            <ul>${entries.map(entry => `<li>${entry}</li>`).join('')}</ul>
+        </details>
+    `;
+    
+    preview.innerHTML = `
+        ${remove.length > 0 ? `<div class="import-warning">⚠️ Replace deletes the ${remove.length} item${remove.length === 1 ? '' : 's'} in your library once the imported ones are added.</div>` : ''}
+        ${section('New', 'new', create.map(titleOf))}
+        ${section('Updated', 'updated', update.map(({ item, changes }) =>
+            `${titleOf(item)} <span class="import-detail">${Object.keys(changes).join(', ')}</span>`))}
+        ${section('Duplicates, skipped', 'duplicate', duplicates.map(titleOf))}
+        ${section('Invalid, skipped', 'invalid', invalid.map(({ index, record, errors }) =>
+            `#${index + 1} ${escapeHtml(record?.title || '')} <span class="import-detail">${escapeHtml(errors.join('; '))}</span>`))}
+        ${importRecords.length === 0 ? '<div class="import-detail">The file has no items.</div>' : ''}
+    `;
+    
+    const changeCount = create.length + update.length + remove.length;
+    confirmButton.disabled = changeCount === 0;
+    confirmButton.textContent = mode === 'replace'
+        ? `Replace library with ${create.length} item${create.length === 1 ? '' : 's'}`
+        : `Import ${create.length} new, ${update.length} updated`;
+}
+
+// Function to write the previewed import through the active storage backend
+async function confirmImport() {
+    if (!importPlan) return;
+    
+    const plan = importPlan;
+    if (plan.mode === 'replace' && !confirm(`Delete all ${plan.remove.length} items in your library and replace them with the imported ones?`)) {
+        return;
+    }
+    
+    const confirmButton = document.getElementById('import-confirm-btn');
+    confirmButton.disabled = true;
+    confirmButton.textContent = 'Importing...';
+    
+    let imported = false;
+    try {
+        await commitImport(libraryStore, plan, {
+            onProgress: (done, total) => {
+                confirmButton.textContent = `Importing... ${done}/${total}`;
+            }
+        });
+        imported = true;
+        showNotification(`Library imported: ${plan.create.length} added, ${plan.update.length} updated`, 'success');
+    } catch (error) {
+        console.error('Failed to import library:', error);
+        showNotification('Error importing library: ' + error.message, 'error');
+    }
+    
+    // Merge and append keep the batches written before a failure, so reload either way
+    try {
+        libraryItems = await libraryStore.list();
+    } catch (error) {
+        console.error('Failed to reload library after import:', error);
+    }
+    updateLibraryDisplay();
+    
+    if (imported) {
+        resetImportModal();
+        closeModal();
+    } else {
+        // Planned again against the reloaded library, so a retry only does what's left
+        renderImportPreview();
+    }
 }
 
 // CAMERA AND SCAN FUNCTIONALITY
 // Global variables for camera functionality
 let currentStream = null;
 let capturedImageData = null;
+let scanMode = 'cover'; // 'cover' for a single book, 'shelf' for a row of spines
+let shelfScanBooks = []; // Books found by the last shelf scan, awaiting review
 
 // Function to open the camera modal
 function openCameraModal() {
@@ -3144,6 +3329,28 @@ function setupCameraModalEvents() {
     
     // Process button
     processBtn.addEventListener('click', processImage);
+    
+    // Scan mode buttons (onclick so reopening the modal doesn't stack handlers)
+    document.querySelectorAll('.scan-mode-btn').forEach(button => {
+        button.onclick = () => setScanMode(button.getAttribute('data-scan-mode'));
+    });
+}
+
+// Function to switch between single cover and shelf scanning
+function setScanMode(mode) {
+    scanMode = mode;
+    
+    document.querySelectorAll('.scan-mode-btn').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-scan-mode') === mode);
+    });
+    
+    const instructions = document.querySelector('.scan-instructions');
+    instructions.textContent = mode === 'shelf'
+        ? 'Fit the book spines within the frame and click "Capture"'
+        : 'Position the book cover within the frame and click "Capture"';
+    
+    hideShelfReview();
+    hideScanRecovery();
 }
 
 // Function to capture image from camera
@@ -3201,6 +3408,8 @@ function retakeImage() {
     
     // Clear captured data
     capturedImageData = null;
+    hideShelfReview();
+    hideScanRecovery();
 }
 
 // NEW DATA LOADING SYSTEM
@@ -3215,8 +3424,8 @@ async function loadDataFromFile() {
             libraryItems = data;
             console.log(`✅ Loaded ${libraryItems.length} items from data.json`);
             
-            // Save to localStorage for consistency
-            localStorage.setItem('digitalLibrary', JSON.stringify(libraryItems));
+            // Save for consistency
+            saveLibraryData();
             
             // Update the display
             updateLibraryDisplay();
@@ -3237,6 +3446,26 @@ function clearAndReload() {
 // Make it available globally for debugging
 window.clearAndReload = clearAndReload;
 
+// Function to read an ISBN barcode from the captured image, where the browser supports it
+async function detectBarcode() {
+    if (!('BarcodeDetector' in window)) {
+        return null;
+    }
+    
+    try {
+        const canvas = document.getElementById('camera-canvas');
+        const detector = new BarcodeDetector({ formats: ['ean_13'] });
+        const barcodes = await detector.detect(canvas);
+        
+        // Books use EAN-13 "Bookland" codes starting with 978 or 979
+        const isbnBarcode = barcodes.find(barcode => /^97[89]\d{10}$/.test(barcode.rawValue));
+        return isbnBarcode ? isbnBarcode.rawValue : null;
+    } catch (error) {
+        console.warn('Barcode detection failed:', error);
+        return null;
+    }
+}
+
 // Function to process image with AI
 async function processImage() {
     if (!capturedImageData) {
@@ -3252,11 +3481,21 @@ async function processImage() {
     // Show progress
     processBtn.style.display = 'none';
     progressDiv.style.display = 'block';
+    hideScanRecovery();
     
     try {
         // Convert data URL to base64
         const base64Data = capturedImageData.split(',')[1];
         
+        // A decoded barcode lets the API look the book up by ISBN and skip the AI step
+        const barcode = scanMode === 'cover' ? await detectBarcode() : null;
+        if (barcode) {
+            console.log('ISBN barcode detected:', barcode);
+        }
+        
+        // Send the Supabase access token so the API can identify the user
+        const { data: { session } } = await supabase.auth.getSession();
+        
         // Send to Vercel API for processing
         const response = await fetch('/api/scan', {
             method: 'POST',
@@ -3265,36 +3504,57 @@ async function processImage() {
             credentials: 'include',
             headers: {
                 'Content-Type': 'application/json',
-                'Accept': 'application/json'
+                'Accept': 'application/json',
+                ...(session ? { 'Authorization': `Bearer ${session.access_token}` } : {})
             },
             body: JSON.stringify({
                 imageBase64: base64Data,
-                mimeType: 'image/jpeg'
+                mimeType: 'image/jpeg',
+                mode: scanMode,
+                ...(barcode ? { barcode } : {})
             })
         });
         
         console.log('Response status:', response.status);
         console.log('Response headers:', response.headers);
         
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('API Error Response:', errorText);
-            throw new Error(`API Error ${response.status}: ${errorText}`);
+        // Errors use the JSON envelope { success: false, error, code, requestId };
+        // degraded scans add retryable and partial
+        const result = await response.json().catch(() => null);
+        console.log('Raw API response:', result);
+        
+        if (result && result.success === false && (SCAN_RECOVERY[result.code] || result.code === 'rate_limited')) {
+            handleScanResults({
+                failure: {
+                    // Our own scan rate limit and daily quota recover the same way as the provider's
+                    code: result.code === 'rate_limited' ? 'quota' : result.code,
+                    message: result.error,
+                    retryable: result.retryable !== false,
+                    retryAfter: result.retryAfter || result.details?.retryAfter || parseInt(response.headers.get('Retry-After'), 10) || null
+                },
+                extractedInfo: result.partial?.extractedInfo || null
+            });
+            return;
         }
         
-        const result = await response.json();
-        console.log('Raw API response:', result);
+        if (!response.ok || !result) {
+            console.error('API Error Response:', result);
+            const requestRef = result?.requestId ? ` (request ${result.requestId})` : '';
+            throw new Error(`API Error ${response.status}: ${result?.error || response.statusText}${requestRef}`);
+        }
         
-        if (result.success) {
+        if (result.success && scanMode === 'shelf') {
+            console.log('Shelf scan successful, data:', result.data);
+            handleShelfScanResults(result.data);
+        } else if (result.success) {
             console.log('AI processing successful, data:', result.data);
             
             // Handle the results with error protection
             try {
-                // The API returns {success: true, data: extractedInfo}
-                // We need to convert this to the format handleScanResults expects
+                // The API returns {success: true, data: {extractedInfo, confidence, matches, matchCount}}
                 const scanData = {
-                    extractedInfo: result.data,
-                    searchResults: [] // We'll search for books based on extracted info
+                    extractedInfo: result.data.extractedInfo,
+                    searchResults: result.data.matches || []
                 };
                 handleScanResults(scanData);
             } catch (handleError) {
@@ -3350,9 +3610,22 @@ function handleScanResults(data) {
     console.log('Search results:', searchResults);
     console.log('Search results length:', searchResults?.length || 0);
     
+    // A failed scan keeps the camera open with the captured image, so the
+    // recovery actions can retry or retake it
+    if (data && data.failure) {
+        showScanRecovery(data.failure, extractedInfo);
+        return;
+    }
+    
     // Close camera modal first
     closeCameraModal();
     
+    // Tell the user which scanned fields were unreadable so they can check them
+    const invalidFields = Object.keys(extractedInfo?.fieldErrors || {});
+    if (invalidFields.length > 0) {
+        showNotification(`Could not read from the scan: ${invalidFields.join(', ')} - please check these fields`, 'info');
+    }
+    
     try {
         // Check if we have search results
         if (Array.isArray(searchResults) && searchResults.length > 0) {
@@ -3426,6 +3699,264 @@ function handleScanResults(data) {
     console.log('=== END SCAN RESULTS DEBUG ===');
 }
 
+// Recovery options for each degraded-mode scan error code
+const SCAN_RECOVERY = {
+    timeout: {
+        title: 'The scan timed out',
+        hint: 'The AI service took too long to answer. Your photo is kept, so you can try again.',
+        actions: ['retry', 'manual']
+    },
+    quota: {
+        title: 'Scan limit reached',
+        hint: 'Too many scans in a short time. Wait a moment before trying again, or enter the book by hand.',
+        actions: ['retry', 'manual']
+    },
+    parse_failure: {
+        title: 'Could not read the scan',
+        hint: 'The photo was processed but the details could not be read. Try a sharper, well-lit photo of the cover.',
+        actions: ['usePartial', 'retake', 'manual']
+    },
+    provider_down: {
+        title: 'Scanning is unavailable',
+        hint: 'The AI service could not be reached.',
+        actions: ['retry', 'manual']
+    }
+};
+
+// Function to show what went wrong with a scan and how to recover
+function showScanRecovery(failure, partialInfo) {
+    const recovery = SCAN_RECOVERY[failure.code] || SCAN_RECOVERY.provider_down;
+    const panel = document.getElementById('scan-recovery');
+    const partialFields = ['title', 'author', 'isbn'].filter(field => partialInfo && partialInfo[field]);
+    
+    const actions = recovery.actions.filter(action => {
+        if (action === 'retry') return failure.retryable;
+        if (action === 'usePartial') return partialFields.length > 0;
+        return true;
+    });
+    const labels = {
+        retry: '🔁 Try Again',
+        retake: '🔄 Retake Photo',
+        usePartial: '📝 Use What Was Read',
+        manual: '✏️ Enter Manually'
+    };
+    
+    panel.innerHTML = `
+        <div class="scan-recovery-title">${escapeHtml(recovery.title)}</div>
+        <div class="scan-recovery-hint">${escapeHtml(recovery.hint)}${failure.retryable ? '' : ' Trying the same photo again won\'t help.'}</div>
+        ${partialFields.length > 0 ? `<div class="scan-recovery-partial">Read from the photo: ${partialFields.map(field => `${field} "${escapeHtml(partialInfo[field])}"`).join(', ')}</div>` : ''}
+        <div class="scan-recovery-actions">
+            ${actions.map(action => `<button type="button" class="${action === actions[0] ? 'process-btn' : 'retake-btn'}" data-recovery-action="${action}">${labels[action]}</button>`).join('')}
+        </div>
+    `;
+    panel.style.display = 'block';
+    
+    panel.querySelectorAll('[data-recovery-action]').forEach(button => {
+        button.addEventListener('click', () => runScanRecoveryAction(button.getAttribute('data-recovery-action'), partialInfo));
+    });
+    
+    // Hold the retry button back until the rate limit window resets
+    const retryButton = panel.querySelector('[data-recovery-action="retry"]');
+    if (retryButton && failure.code === 'quota' && failure.retryAfter) {
+        retryButton.disabled = true;
+        let remaining = failure.retryAfter;
+        retryButton.textContent = `🔁 Try Again in ${remaining}s`;
+        const countdown = setInterval(() => {
+            remaining--;
+            if (remaining <= 0 || !retryButton.isConnected) {
+                clearInterval(countdown);
+                retryButton.disabled = false;
+                retryButton.textContent = labels.retry;
+                return;
+            }
+            retryButton.textContent = `🔁 Try Again in ${remaining}s`;
+        }, 1000);
+    }
+    
+    showNotification(failure.message || recovery.title, 'error');
+}
+
+// Function to run a recovery action picked after a failed scan
+function runScanRecoveryAction(action, partialInfo) {
+    hideScanRecovery();
+    
+    if (action === 'retry') {
+        processImage();
+    } else if (action === 'retake') {
+        retakeImage();
+    } else if (action === 'usePartial') {
+        closeCameraModal();
+        fillFormFromExtractedInfo(partialInfo);
+        showNotification('Form filled with the details that could be read - please check them', 'info');
+    } else if (action === 'manual') {
+        closeCameraModal();
+        document.getElementById('item-title').focus();
+    }
+}
+
+// Function to hide the failed scan recovery panel
+function hideScanRecovery() {
+    const panel = document.getElementById('scan-recovery');
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+}
+
+// Function to show the books found by a shelf scan for review
+function handleShelfScanResults(data) {
+    shelfScanBooks = (data.books || []).map(book => ({
+        ...book,
+        // Pre-select spines that matched a Google Books entry
+        accepted: book.matchCount > 0
+    }));
+    
+    if (shelfScanBooks.length === 0) {
+        showNotification('No book spines could be read from the image', 'error');
+        return;
+    }
+    
+    drawShelfBoundingBoxes();
+    renderShelfReview();
+    showNotification(`Found ${shelfScanBooks.length} books on the shelf - review them before adding`, 'success');
+}
+
+// Function to outline and number each detected spine on the captured image
+function drawShelfBoundingBoxes() {
+    const canvas = document.getElementById('camera-canvas');
+    const ctx = canvas.getContext('2d');
+    
+    // Redraw the captured frame so boxes from an earlier scan don't pile up
+    const image = new Image();
+    image.onload = () => {
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        
+        const lineWidth = Math.max(2, Math.round(canvas.width / 300));
+        ctx.lineWidth = lineWidth;
+        ctx.font = `bold ${lineWidth * 8}px sans-serif`;
+        
+        shelfScanBooks.forEach((book, index) => {
+            if (!book.boundingBox) return;
+            
+            const { x, y, width, height } = book.boundingBox;
+            const color = book.accepted ? '#00ff88' : '#ff6b6b';
+            ctx.strokeStyle = color;
+            ctx.strokeRect(x * canvas.width, y * canvas.height, width * canvas.width, height * canvas.height);
+            
+            ctx.fillStyle = color;
+            ctx.fillText(String(index + 1), x * canvas.width + lineWidth * 2, y * canvas.height + lineWidth * 9);
+        });
+    };
+    image.src = capturedImageData;
+}
+
+// Function to render the accept/reject list for a shelf scan
+function renderShelfReview() {
+    const review = document.getElementById('shelf-review');
+    const acceptedCount = shelfScanBooks.filter(book => book.accepted).length;
+    
+    review.innerHTML = `
+        <div class="shelf-review-list">
+            ${shelfScanBooks.map((book, index) => {
+                const match = book.matches[0];
+                const title = match ? match.title : book.extractedInfo.title;
+                const author = match ? match.author : book.extractedInfo.author;
+                
+                return `
+                    <label class="shelf-review-item ${book.accepted ? 'accepted' : 'rejected'}">
+                        <input type="checkbox" data-book-index="${index}" ${book.accepted ? 'checked' : ''}>
+                        <span class="shelf-review-number">${index + 1}</span>
+                        ${match && match.coverUrl ? `<img class="shelf-review-cover" src="${escapeHtml(match.coverUrl)}" alt="Cover">` : ''}
+                        <span class="shelf-review-text">
+                            <span class="shelf-review-title">${escapeHtml(title || 'Unknown Title')}</span>
+                            <span class="shelf-review-author">${escapeHtml(author || 'Unknown Author')}</span>
+                            ${match ? '' : '<span class="shelf-review-note">No Google Books match - will be added as read from the spine</span>'}
+                            ${!match && (book.extractedInfo.fieldErrors?.title || book.extractedInfo.fieldErrors?.author) ? `<span class="shelf-review-note">Could not read: ${['title', 'author'].filter(field => book.extractedInfo.fieldErrors[field]).join(', ')}</span>` : ''}
+                        </span>
+                    </label>
+                `;
+            }).join('')}
+        </div>
+        <div class="shelf-review-actions">
+            <button type="button" id="shelf-add-btn" class="process-btn" ${acceptedCount === 0 ? 'disabled' : ''}>➕ Add ${acceptedCount} ${acceptedCount === 1 ? 'Book' : 'Books'}</button>
+        </div>
+    `;
+    review.style.display = 'block';
+    
+    review.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            const index = parseInt(this.getAttribute('data-book-index'));
+            shelfScanBooks[index].accepted = this.checked;
+            drawShelfBoundingBoxes();
+            renderShelfReview();
+        });
+    });
+    
+    document.getElementById('shelf-add-btn').addEventListener('click', addAcceptedShelfBooks);
+}
+
+// Function to build a library item from a reviewed shelf scan entry
+function buildItemFromShelfBook(book, index) {
+    const match = book.matches[0];
+    const info = book.extractedInfo;
+    const now = new Date().toISOString();
+    
+    return {
+        id: Date.now() + index,
+        title: (match ? match.title : info.title) || 'Untitled',
+        author: (match ? match.author : info.author) || '',
+        type: 'Book',
+        category: match ? match.category : '',
+        publishingYear: match && match.publishingYear ? String(match.publishingYear) : '',
+        status: '',
+        pages: match ? match.pages : null,
+        difficulty: null,
+        language: match ? normalizeLanguage(match.language) : 'english',
+        url: match ? match.infoLink || '' : '',
+        coverUrl: match ? match.coverUrl || '' : '',
+        rating: null,
+        summary: match ? match.summary || '' : '',
+        notes: '',
+        dateAdded: now,
+        dateModified: now
+    };
+}
+
+// Function to add every accepted shelf scan book to the library
+async function addAcceptedShelfBooks() {
+    const accepted = shelfScanBooks.filter(book => book.accepted);
+    if (accepted.length === 0) {
+        return;
+    }
+    
+    const addButton = document.getElementById('shelf-add-btn');
+    addButton.disabled = true;
+    addButton.textContent = 'Adding...';
+    
+    const countBefore = libraryItems.length;
+    
+    // One at a time so each insert gets its own database ID
+    for (let i = 0; i < accepted.length; i++) {
+        await addLibraryItem(buildItemFromShelfBook(accepted[i], i));
+    }
+    
+    const addedCount = libraryItems.length - countBefore;
+    if (addedCount === accepted.length) {
+        showNotification(`Added ${addedCount} books to your library!`, 'success');
+    } else {
+        showNotification(`Added ${addedCount} of ${accepted.length} books - some could not be saved`, 'error');
+    }
+    
+    closeCameraModal();
+    closeModal();
+}
+
+// Function to hide and clear the shelf review list
+function hideShelfReview() {
+    const review = document.getElementById('shelf-review');
+    review.style.display = 'none';
+    review.innerHTML = '';
+    shelfScanBooks = [];
+}
+
 // Function to fill form with extracted information
 function fillFormFromExtractedInfo(extractedInfo) {
     console.log('Filling form with extracted info:', extractedInfo);
@@ -3455,6 +3986,37 @@ function fillFormFromExtractedInfo(extractedInfo) {
     
     // Set language to English as default
     document.getElementById('item-language').value = 'english';
+    
+    highlightExtractionErrors(extractedInfo.fieldErrors || {});
+}
+
+// Function to highlight form fields the scan could not read reliably
+function highlightExtractionErrors(fieldErrors) {
+    const fieldInputs = {
+        title: 'item-title',
+        author: 'item-author',
+        year: 'item-publishing-year',
+        description: 'item-summary',
+        category: 'item-category'
+    };
+    
+    Object.entries(fieldInputs).forEach(([field, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (!input) return;
+        
+        if (fieldErrors[field]) {
+            input.classList.add('field-invalid');
+            input.title = fieldErrors[field];
+            // Clear the highlight once the user corrects the field
+            input.addEventListener('input', () => {
+                input.classList.remove('field-invalid');
+                input.title = '';
+            }, { once: true });
+        } else if (input.classList.contains('field-invalid')) {
+            input.classList.remove('field-invalid');
+            input.title = '';
+        }
+    });
 }
 
 // Function to reset camera state
@@ -3476,6 +4038,8 @@ function resetCameraState() {
     
     // Clear captured data
     capturedImageData = null;
+    hideShelfReview();
+    hideScanRecovery();
 }
 
 // ============================================
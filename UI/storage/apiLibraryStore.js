@@ -0,0 +1,129 @@
+// Library items through the server's /api/library endpoints
+// The server stores them in Supabase or, when self-hosted, in a local SQLite
+// file (LIBRARY_STORE on the server). Requests carry the Supabase access token
+// when there is a session.
+
+import { normalizeItem, WRITABLE_FIELDS } from './itemMapper.js';
+
+const PAGE_SIZE = 100;
+
+export class ApiLibraryStore {
+    constructor({ baseUrl = '', getAccessToken }) {
+        this.kind = 'api';
+        this.baseUrl = `${baseUrl.replace(/\/$/, '')}/api/library`;
+        this.getAccessToken = getAccessToken;
+    }
+
+    async list() {
+        const items = [];
+        let total = Infinity;
+        while (items.length < total) {
+            const result = await this.request('GET', `?limit=${PAGE_SIZE}&offset=${items.length}`);
+            items.push(...result.data);
+            total = result.data.length === 0 ? items.length : result.total;
+        }
+        return items.map(fromApiItem);
+    }
+
+    async get(id) {
+        try {
+            const result = await this.request('GET', `/${encodeURIComponent(id)}`);
+            return fromApiItem(result.data);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async create(item) {
+        const result = await this.request('POST', '', toApiItem(item, { partial: false }));
+        return fromApiItem(result.data);
+    }
+
+    async update(id, changes) {
+        const result = await this.request('PATCH', `/${encodeURIComponent(id)}`, toApiItem(changes));
+        return fromApiItem(result.data);
+    }
+
+    async remove(id) {
+        await this.request('DELETE', `/${encodeURIComponent(id)}`);
+    }
+
+    async bulkCreate(items) {
+        const created = [];
+        // The API takes at most PAGE_SIZE items per bulk request
+        for (let i = 0; i < items.length; i += PAGE_SIZE) {
+            const result = await this.request('POST', '/bulk', {
+                action: 'create',
+                items: items.slice(i, i + PAGE_SIZE).map(item => toApiItem(item, { partial: false }))
+            });
+            created.push(...result.data.map(fromApiItem));
+        }
+        return created;
+    }
+
+    async bulkUpdate(ids, changes) {
+        const updated = [];
+        for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+            const result = await this.request('POST', '/bulk', {
+                action: 'update',
+                ids: ids.slice(i, i + PAGE_SIZE),
+                changes: toApiItem(changes)
+            });
+            updated.push(...result.data.map(fromApiItem));
+        }
+        return updated;
+    }
+
+    async bulkRemove(ids) {
+        for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+            await this.request('POST', '/bulk', { action: 'delete', ids: ids.slice(i, i + PAGE_SIZE) });
+        }
+    }
+
+    // Send a request and unwrap the { success, ... } envelope
+    async request(method, path, body) {
+        const token = await this.getAccessToken();
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            const error = new Error(result.error || `Library request failed (${response.status})`);
+            error.status = response.status;
+            error.code = result.code;
+            error.requestId = result.requestId;
+            throw error;
+        }
+        return result;
+    }
+}
+
+// Keep only the fields the API accepts, as typed values with empty text as null
+// With `partial` (the default, for updates), fields missing from the item are left out.
+function toApiItem(item, { partial = true } = {}) {
+    const normalized = normalizeItem(item);
+    const apiItem = {};
+    for (const field of WRITABLE_FIELDS) {
+        const present = item[field] !== undefined || (field === 'coverUrl' && item.coverImage !== undefined);
+        if (partial && !present) continue;
+        const value = normalized[field];
+        apiItem[field] = value === '' ? null : value;
+    }
+    if (apiItem.type) {
+        apiItem.type = apiItem.type.toLowerCase();
+    }
+    return apiItem;
+}
+
+// The API returns the same field names as the app, with nulls for empty text
+function fromApiItem(item) {
+    return normalizeItem(item);
+}
@@ -0,0 +1,439 @@
+// BibTeX and RIS, the formats reference managers read and write
+// Export turns library items into entries. Import turns entries into records for
+// the import pipeline (libraryImport.js), which validates and dedupes them.
+//
+// Entry types:
+//   Book                               @book           TY  - BOOK
+//   Paper from a conference/workshop   @inproceedings  TY  - CPAPER
+//   Paper from any other venue         @article        TY  - JOUR
+//   Paper without a venue              @misc           TY  - GEN
+// On import, book-like entry types become books and everything else a paper.
+
+const CONFERENCE_VENUE = /proceedings|conference|workshop|symposium|congress|\bconf\b|neurips|\bnips\b|\bicml\b|\biclr\b|\bcvpr\b|\biccv\b|\beccv\b|\bacl\b|\bemnlp\b|\bnaacl\b|\baaai\b|\bijcai\b|\bkdd\b|\bsigir\b|\bchi\b|neural information processing systems/i;
+const BIBTEX_BOOK_TYPES = ['book', 'mvbook', 'booklet', 'collection', 'mvcollection'];
+const RIS_BOOK_TYPES = ['BOOK', 'EBOOK', 'EDBOOK', 'CLASSIC'];
+const RIS_TYPES = { book: 'BOOK', inproceedings: 'CPAPER', article: 'JOUR', misc: 'GEN' };
+
+// Words left out of citation keys
+const STOP_WORDS = ['a', 'an', 'the', 'on', 'of', 'in', 'for', 'to', 'and', 'with', 'at', 'by', 'from'];
+
+// Characters with a meaning in BibTeX, written so they print as themselves
+// (braces as commands, since a lone \{ unbalances the entry for BibTeX)
+const BIBTEX_ESCAPES = {
+    '\\': '\\textbackslash{}',
+    '{': '\\textbraceleft{}',
+    '}': '\\textbraceright{}',
+    '&': '\\&',
+    '%': '\\%',
+    '$': '\\$',
+    '#': '\\#',
+    '_': '\\_',
+    '~': '\\textasciitilde{}',
+    '^': '\\textasciicircum{}'
+};
+const LATEX_SYMBOLS = {
+    textbackslash: '\\', textbraceleft: '{', textbraceright: '}',
+    textasciitilde: '~', textasciicircum: '^',
+    ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ',
+    aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'ı', j: 'ȷ'
+};
+const LATEX_ACCENTS = {
+    '`': '\u0300', "'": '\u0301', '^': '\u0302', '~': '\u0303', '=': '\u0304',
+    u: '\u0306', '.': '\u0307', '"': '\u0308', r: '\u030a', H: '\u030b',
+    v: '\u030c', c: '\u0327', k: '\u0328'
+};
+
+// EXPORT
+
+// BibTeX entries for `items`, each under a citation key unique in the file
+export function toBibtex(items) {
+    const keys = new Set();
+    return items.map(item => {
+        const type = entryType(item);
+        const fields = [
+            ['author', bibtexAuthors(item.author)],
+            ['title', escapeBibtex(item.title)],
+            [type === 'inproceedings' ? 'booktitle' : 'journal', type === 'book' ? '' : escapeBibtex(item.venue)],
+            ['year', yearOf(item.publishingYear)],
+            ['pagetotal', type === 'book' && item.pages ? String(item.pages) : ''],
+            ['isbn', escapeBibtex(item.isbn)],
+            ['doi', verbatim(stripDoiUrl(item.doi))],
+            ['url', verbatim(item.url)],
+            ['language', escapeBibtex(item.language)],
+            ['keywords', escapeBibtex(item.category)],
+            ['abstract', escapeBibtex(item.summary)],
+            ['annote', escapeBibtex(item.notes)]
+        ].filter(([, value]) => value);
+
+        const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+        return `@${type}{${citationKey(item, keys)},\n${body}\n}\n`;
+    }).join('\n');
+}
+
+// RIS records for `items`
+export function toRis(items) {
+    return items.map(item => {
+        const type = entryType(item);
+        const lines = [
+            ['TY', RIS_TYPES[type]],
+            ['TI', item.title],
+            ...splitAuthors(item.author).names.map(name => ['AU', risName(name)]),
+            ['PY', yearOf(item.publishingYear)],
+            ['T2', type === 'book' ? '' : item.venue],
+            ['SP', type === 'book' && item.pages ? String(item.pages) : ''], // Number of pages, for books
+            ['SN', item.isbn],
+            ['DO', stripDoiUrl(item.doi)],
+            ['UR', item.url],
+            ['L1', item.pdfUrl],
+            ['LA', item.language],
+            ['KW', item.category],
+            ['AB', item.summary],
+            ['N1', item.notes]
+        ].filter(([, value]) => value);
+
+        // One line per tag, so line breaks inside values become spaces
+        return [...lines, ['ER', '']]
+            .map(([tag, value]) => `${tag}  - ${String(value).replace(/\s*[\r\n]+\s*/g, ' ')}`)
+            .join('\r\n');
+    }).join('\r\n\r\n') + (items.length > 0 ? '\r\n' : '');
+}
+
+// @book, @inproceedings, @article or @misc
+function entryType(item) {
+    if (String(item.type).toLowerCase() !== 'paper') return 'book';
+    if (!item.venue) return 'misc';
+    return CONFERENCE_VENUE.test(item.venue) ? 'inproceedings' : 'article';
+}
+
+// First author's last name, year and first title word, e.g. vaswani2017attention
+// Keys already in `keys` get a letter added: vaswani2017attentiona, ...
+function citationKey(item, keys) {
+    const firstAuthor = splitAuthors(item.author).names[0] || '';
+    const lastName = firstAuthor.split(/\s+/).pop();
+    const titleWord = toAscii(item.title).split(/\s+/).find(word => word && !STOP_WORDS.includes(word)) || '';
+    const base = `${toAscii(lastName).replace(/\s+/g, '')}${yearOf(item.publishingYear)}${titleWord}` || 'item';
+
+    let key = base;
+    for (let n = 1; keys.has(key); n++) {
+        key = `${base}${n <= 26 ? String.fromCharCode(96 + n) : n}`;
+    }
+    keys.add(key);
+    return key;
+}
+
+// The app keeps authors as one string, "First Last, First Last" or "Last et al."
+function splitAuthors(author) {
+    const text = String(author || '').trim();
+    const others = /\s*,?\s*et al\.?$/i.test(text);
+    const names = text
+        .replace(/\s*,?\s*et al\.?$/i, '')
+        .split(/\s*[,;]\s*|\s+and\s+/i)
+        .filter(name => name && name !== 'Unknown Author');
+    return { names, others };
+}
+
+function bibtexAuthors(author) {
+    const { names, others } = splitAuthors(author);
+    return [...names.map(escapeBibtex), ...(others ? ['others'] : [])].join(' and ');
+}
+
+// "First Last" as RIS writes it: "Last, First"
+function risName(name) {
+    const parts = name.split(/\s+/);
+    return parts.length > 1 ? `${parts.pop()}, ${parts.join(' ')}` : name;
+}
+
+function escapeBibtex(value) {
+    return String(value ?? '').replace(/[\\{}&%$#_~^]/g, char => BIBTEX_ESCAPES[char]);
+}
+
+// URLs and DOIs are read verbatim; only braces would break the entry
+function verbatim(value) {
+    return String(value ?? '').replace(/[{}]/g, encodeURIComponent);
+}
+
+function stripDoiUrl(doi) {
+    return String(doi ?? '').trim().replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+}
+
+function yearOf(value) {
+    return String(value ?? '').match(/\d{4}/)?.[0] || '';
+}
+
+// Lower case ASCII letters and digits, words separated by spaces
+function toAscii(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// IMPORT
+
+// Records from a .bib file, one per entry (@string macros are expanded;
+// @comment and @preamble are skipped)
+export function parseBibtex(text) {
+    const entries = new BibtexReader(text).entries();
+    if (entries.length === 0) {
+        throw new Error('No BibTeX entries found');
+    }
+
+    return entries.map(({ type, fields }) => {
+        const isBook = BIBTEX_BOOK_TYPES.includes(type);
+        const pages = fields.pagetotal || (isBook && /^\s*\d+\s*$/.test(fields.pages || '') ? fields.pages : '');
+        return compactRecord({
+            type: isBook ? 'Book' : 'Paper',
+            title: latexToText(fields.title),
+            author: bibtexNamesToText(fields.author || fields.editor),
+            publishingYear: yearOf(fields.year || fields.date),
+            venue: isBook ? '' : latexToText(fields.journal || fields.journaltitle || fields.booktitle),
+            pages: latexToText(pages),
+            isbn: latexToText(fields.isbn),
+            doi: latexToText(fields.doi),
+            url: latexToText(fields.url),
+            language: latexToText(fields.language).toLowerCase(),
+            category: latexToText(fields.keywords).split(/\s*[,;]\s*/)[0],
+            summary: latexToText(fields.abstract),
+            notes: latexToText(fields.annote || fields.annotation || fields.note)
+        });
+    });
+}
+
+// Records from a .ris file, one per TY ... ER record
+export function parseRis(text) {
+    const entries = [];
+    let entry = null;
+    let lastTag = null;
+
+    for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const match = /^([A-Z][A-Z0-9])\s{1,2}-(?:\s(.*))?$/.exec(line);
+        if (!match) {
+            // Some exporters wrap long values onto the next lines
+            if (entry && lastTag && line.trim()) {
+                const values = entry[lastTag];
+                values[values.length - 1] += ` ${line.trim()}`;
+            }
+            continue;
+        }
+
+        const [, tag, value = ''] = match;
+        if (tag === 'TY') {
+            entry = { TY: [value.trim()] };
+        } else if (tag === 'ER') {
+            if (entry) entries.push(entry);
+            entry = null;
+        } else if (entry) {
+            (entry[tag] ||= []).push(value.trim());
+        }
+        lastTag = tag;
+    }
+    if (entry) entries.push(entry); // Last record without its ER line
+
+    if (entries.length === 0) {
+        throw new Error('No RIS records found');
+    }
+
+    return entries.map(entry => {
+        const first = (...tags) => tags.map(tag => entry[tag]?.find(Boolean)).find(Boolean) || '';
+        const isBook = RIS_BOOK_TYPES.includes(entry.TY[0].toUpperCase());
+        const serial = first('SN').replace(/[^0-9Xx]/g, '');
+        return compactRecord({
+            type: isBook ? 'Book' : 'Paper',
+            title: first('TI', 'T1', 'CT', isBook ? 'BT' : ''),
+            author: (entry.AU || entry.A1 || []).filter(Boolean).map(textName).join(', '),
+            publishingYear: yearOf(first('PY', 'Y1', 'DA')),
+            venue: isBook ? '' : first('T2', 'JO', 'JF', 'JA', 'BT'),
+            pages: isBook && /^\d+$/.test(first('SP')) ? first('SP') : '',
+            // SN is an ISSN for journals; only ISBNs are kept
+            isbn: serial.length === 10 || serial.length === 13 ? first('SN') : '',
+            doi: first('DO'),
+            url: first('UR'),
+            pdfUrl: first('L1'),
+            language: first('LA').toLowerCase(),
+            category: first('KW'),
+            summary: first('AB', 'N2'),
+            notes: first('N1')
+        });
+    });
+}
+
+// Reads BibTeX entries as { type, key, fields } with field values as written
+class BibtexReader {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.strings = {};
+    }
+
+    entries() {
+        const entries = [];
+        while ((this.pos = this.text.indexOf('@', this.pos)) !== -1) {
+            this.pos++;
+            const type = this.readName().toLowerCase();
+            this.skipSpace();
+            const open = this.text[this.pos];
+            if (!type || (open !== '{' && open !== '(')) continue; // An @ outside an entry
+            this.pos++;
+            const close = open === '{' ? '}' : ')';
+
+            if (type === 'comment' || type === 'preamble') {
+                this.pos--;
+                this.readDelimited(open, close);
+            } else if (type === 'string') {
+                Object.assign(this.strings, this.readFields(close));
+            } else {
+                const key = this.readUntil(/[,\s}\)]/);
+                this.skipSpace();
+                if (this.text[this.pos] === ',') this.pos++;
+                entries.push({ type, key, fields: this.readFields(close) });
+            }
+        }
+        return entries;
+    }
+
+    // name = value, ... up to the entry's closing delimiter
+    readFields(close) {
+        const fields = {};
+        for (;;) {
+            this.skipSpace();
+            if (this.text[this.pos] === close) {
+                this.pos++;
+                return fields;
+            }
+            const name = this.readName().toLowerCase();
+            this.skipSpace();
+            if (!name || this.text[this.pos] !== '=') this.fail(`expected a field name and "="`);
+            this.pos++;
+            fields[name] = this.readValue();
+            this.skipSpace();
+            if (this.text[this.pos] === ',') this.pos++;
+        }
+    }
+
+    // Braced, quoted, numeric and macro parts joined with #
+    readValue() {
+        let value = '';
+        for (;;) {
+            this.skipSpace();
+            const char = this.text[this.pos];
+            if (char === '{') {
+                value += this.readDelimited('{', '}');
+            } else if (char === '"') {
+                value += this.readDelimited('"', '"');
+            } else {
+                const word = this.readName();
+                if (!word) this.fail('expected a value');
+                value += /^\d+$/.test(word) ? word : (this.strings[word.toLowerCase()] ?? word);
+            }
+            this.skipSpace();
+            if (this.text[this.pos] !== '#') return value;
+            this.pos++;
+        }
+    }
+
+    // Text between `open` and `close` (not included), keeping nested braces
+    readDelimited(open, close) {
+        const start = ++this.pos;
+        let depth = 0;
+        for (; this.pos < this.text.length; this.pos++) {
+            const char = this.text[this.pos];
+            if (char === '\\') {
+                this.pos++; // Escaped braces don't nest
+            } else if (char === close && depth === 0) {
+                return this.text.slice(start, this.pos++);
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+            }
+        }
+        this.pos = start;
+        this.fail(`missing "${close}"`);
+    }
+
+    readName() {
+        return this.readUntil(/[^\w\-:.+/']/);
+    }
+
+    readUntil(pattern) {
+        const start = this.pos;
+        while (this.pos < this.text.length && !pattern.test(this.text[this.pos])) this.pos++;
+        return this.text.slice(start, this.pos);
+    }
+
+    skipSpace() {
+        while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+    }
+
+    fail(message) {
+        const line = this.text.slice(0, this.pos).split('\n').length;
+        throw new Error(`BibTeX error on line ${line}: ${message}`);
+    }
+}
+
+// LaTeX markup in a BibTeX value as plain text: accents, escaped characters, braces
+function latexToText(value) {
+    return String(value || '')
+        .replace(/\\([`'^~=".])\s*(?:\{\s*(\\[ij]|[a-zA-Z])\s*\}|(\\[ij]|[a-zA-Z]))|\\([uvHckr])(?:\s*\{\s*(\\[ij]|[a-zA-Z])\s*\}|\s+([a-zA-Z]))/g,
+            (match, accent, braced, bare, letterAccent, letterBraced, letterBare) => {
+                const letter = braced || bare || letterBraced || letterBare;
+                // \i and \j are dotless so they can take an accent; the accent goes on i or j
+                return `${letter.replace('\\', '')}${LATEX_ACCENTS[accent || letterAccent]}`;
+            })
+        .replace(/\\(textbackslash|textbraceleft|textbraceright|textasciitilde|textasciicircum|ss|o|O|ae|AE|oe|OE|aa|AA|l|L|i|j)(?![a-zA-Z])(?:\{\}|\s*)|\\([&%$#_{}~^])(?:\{\})?|\\[a-zA-Z]+\*?\s*|\\\\|[{}$~]/g,
+            // Other commands (\emph, \textit, ...) are dropped, keeping their argument
+            (match, symbol, escaped) => symbol ? LATEX_SYMBOLS[symbol] : escaped || (match === '~' || match === '\\\\' ? ' ' : ''))
+        .normalize('NFC')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// "Last, First and First Last and others" as "First Last, First Last et al."
+function bibtexNamesToText(value) {
+    const names = splitTopLevel(String(value || ''), /^\s+and\s+/i);
+    const others = names.length > 1 && names[names.length - 1].trim() === 'others';
+    const text = names
+        .slice(0, others ? -1 : undefined)
+        .map(name => {
+            // "Last, Jr, First" or "Last, First"; braces protect commas in organisation names
+            const parts = splitTopLevel(name, /^,\s*/).map(latexToText);
+            return parts.length === 1 ? parts[0] : [parts[parts.length - 1], parts[0], ...parts.slice(1, -1)].join(' ');
+        })
+        .filter(Boolean)
+        .join(', ');
+    return others ? `${text} et al.` : text;
+}
+
+// "Last, First" from RIS as "First Last"
+function textName(name) {
+    const [last, first, suffix] = name.split(/\s*,\s*/);
+    return [first, last, suffix].filter(Boolean).join(' ');
+}
+
+// Split `text` where `separator` matches outside braces
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}') depth--;
+        else if (depth === 0) {
+            const match = separator.exec(text.slice(i));
+            if (match) {
+                parts.push(text.slice(start, i));
+                i += match[0].length - 1;
+                start = i + 1;
+            }
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.filter(part => part.trim());
+}
+
+// Records only carry the fields an entry has, so a merge doesn't clear anything
+function compactRecord(record) {
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== '' && value != null));
+}
@@ -0,0 +1,66 @@
+// Recognizing the same book or paper in two lists of items
+// Items match on ISBN, on DOI, or on title and author, whichever both have.
+
+// Keys identifying an item, most specific first
+export function duplicateKeys(item) {
+    const keys = [];
+    const isbn = normalizeIsbn(item.isbn);
+    if (isbn) keys.push(`isbn:${isbn}`);
+    const doi = normalizeDoi(item.doi);
+    if (doi) keys.push(`doi:${doi}`);
+    const title = normalizeText(item.title);
+    if (title) keys.push(`title:${title}|author:${normalizeText(item.author)}`);
+    return keys;
+}
+
+// Items looked up by their duplicate keys
+export class DuplicateIndex {
+    constructor(items = []) {
+        this.byKey = new Map();
+        items.forEach(item => this.add(item));
+    }
+
+    add(item) {
+        for (const key of duplicateKeys(item)) {
+            if (!this.byKey.has(key)) this.byKey.set(key, item);
+        }
+    }
+
+    // The first indexed item that `item` duplicates, or null
+    find(item) {
+        for (const key of duplicateKeys(item)) {
+            if (this.byKey.has(key)) return this.byKey.get(key);
+        }
+        return null;
+    }
+}
+
+// ISBN-13 digits; ISBN-10s are converted so both forms of a book match
+export function normalizeIsbn(isbn) {
+    const digits = String(isbn || '').toUpperCase().replace(/[^0-9X]/g, '');
+    if (digits.length === 13) return digits;
+    if (digits.length !== 10) return '';
+
+    const body = `978${digits.slice(0, 9)}`;
+    const sum = [...body].reduce((total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1), 0);
+    return `${body}${(10 - (sum % 10)) % 10}`;
+}
+
+// DOIs are case-insensitive and often written as URLs
+export function normalizeDoi(doi) {
+    return String(doi || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\/(dx\.)?doi\.org\//, '')
+        .replace(/^doi:\s*/, '');
+}
+
+// Lower case without accents, punctuation or extra spaces
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
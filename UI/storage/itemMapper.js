@@ -0,0 +1,186 @@
+// Mapping between the app's library items and rows of the `libraries` table
+// Every stored field is listed once in ITEM_FIELDS with its column and type, so
+// a field that is written is always read back the same way.
+
+/**
+ * A library item as the rest of the app uses it
+ * Text fields are '' when empty; numbers and timestamps are null.
+ * @typedef {Object} LibraryItem
+ * @property {string|number} id - Row UUID (Date.now() for items not saved yet)
+ * @property {string} title
+ * @property {string} author
+ * @property {'Book'|'Paper'} type
+ * @property {string} category
+ * @property {string} publishingYear - As entered, e.g. "2019" or "c. 1850"
+ * @property {string} status
+ * @property {number|null} pages
+ * @property {number|null} difficulty - 1 to 10
+ * @property {string} language
+ * @property {string} url
+ * @property {string} coverUrl
+ * @property {string} coverImage - Same as coverUrl, read by older code
+ * @property {number|null} rating - 0 to 5 in half stars
+ * @property {string} summary
+ * @property {string} notes
+ * @property {string} isbn
+ * @property {string} doi
+ * @property {string} venue - Journal or conference for papers
+ * @property {number|null} citedBy - Citation count when the item was added
+ * @property {string} pdfUrl
+ * @property {string} source - Where the item was found: google_books, semantic_scholar, ...
+ * @property {string} googleBooksId - Google Books volume ID
+ * @property {string} semanticScholarId - Semantic Scholar paper ID
+ * @property {string|null} dateAdded - ISO timestamp
+ * @property {string|null} dateModified - ISO timestamp
+ */
+
+/**
+ * A row of the `libraries` table (see supabase-setup.md)
+ * @typedef {Object} LibraryRow
+ * @property {string} id
+ * @property {string} user_id
+ * @property {string} title
+ * @property {'book'|'paper'} type
+ * @property {number|null} year - Numeric part of publishing_year, for sorting
+ * @property {string|null} cover_image - Older copy of cover_url
+ */
+
+export const ITEM_TYPES = ['Book', 'Paper'];
+
+// field: item property, column: `libraries` column, type: how the value is converted
+export const ITEM_FIELDS = [
+    { field: 'title', column: 'title', type: 'text' },
+    { field: 'author', column: 'author', type: 'text' },
+    { field: 'type', column: 'type', type: 'itemType' },
+    { field: 'category', column: 'category', type: 'text' },
+    { field: 'publishingYear', column: 'publishing_year', type: 'text' },
+    { field: 'status', column: 'status', type: 'text' },
+    { field: 'pages', column: 'pages', type: 'integer', min: 1 },
+    { field: 'difficulty', column: 'difficulty', type: 'integer', min: 1, max: 10 },
+    { field: 'language', column: 'language', type: 'text' },
+    { field: 'url', column: 'url', type: 'text' },
+    { field: 'coverUrl', column: 'cover_url', type: 'text' },
+    { field: 'rating', column: 'rating', type: 'number', min: 0, max: 5 },
+    { field: 'summary', column: 'summary', type: 'text' },
+    { field: 'notes', column: 'notes', type: 'text' },
+    { field: 'isbn', column: 'isbn', type: 'text' },
+    { field: 'doi', column: 'doi', type: 'text' },
+    { field: 'venue', column: 'venue', type: 'text' },
+    { field: 'citedBy', column: 'cited_by', type: 'integer', min: 0 },
+    { field: 'pdfUrl', column: 'pdf_url', type: 'text' },
+    { field: 'source', column: 'source', type: 'text' },
+    { field: 'googleBooksId', column: 'google_books_id', type: 'text' },
+    { field: 'semanticScholarId', column: 'semantic_scholar_id', type: 'text' },
+    { field: 'dateAdded', column: 'date_added', type: 'timestamp' },
+    { field: 'dateModified', column: 'date_modified', type: 'timestamp' }
+];
+
+// Fields clients send to the server API, which keeps the dates itself
+export const WRITABLE_FIELDS = ITEM_FIELDS
+    .filter(({ type }) => type !== 'timestamp')
+    .map(({ field }) => field);
+
+// Convert a value to the item's representation of its type
+function toItemValue(value, { type, min, max }) {
+    switch (type) {
+        case 'text':
+            return value === undefined || value === null ? '' : String(value);
+        case 'itemType': {
+            const lower = String(value || 'book').toLowerCase();
+            return ITEM_TYPES.find(itemType => itemType.toLowerCase() === lower) || 'Book';
+        }
+        case 'integer':
+        case 'number': {
+            if (value === undefined || value === null || value === '') return null;
+            const number = Number(value);
+            const valid = !isNaN(number) &&
+                (type === 'number' || Number.isInteger(number)) &&
+                (min === undefined || number >= min) &&
+                (max === undefined || number <= max);
+            return valid ? number : null; // e.g. old items with difficulty 'medium'
+        }
+        case 'timestamp': {
+            if (!value) return null;
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? null : date.toISOString();
+        }
+        default:
+            throw new Error(`Unknown item field type: ${type}`);
+    }
+}
+
+// Convert an item value to its column value
+function toColumnValue(value, { type }) {
+    if (type === 'itemType') return value.toLowerCase(); // Database constraint is lowercase
+    if (type === 'text') return value === '' ? null : value;
+    return value;
+}
+
+/**
+ * Normalize an item from any source (form, localStorage, import, API)
+ * Fills every field with its typed value and drops unknown ones.
+ * @param {Object} item - Item with any subset of fields
+ * @returns {LibraryItem} Normalized item
+ */
+export function normalizeItem(item) {
+    const normalized = { id: item.id };
+    for (const spec of ITEM_FIELDS) {
+        const value = spec.field === 'coverUrl' ? (item.coverUrl || item.coverImage) : item[spec.field];
+        normalized[spec.field] = toItemValue(value, spec);
+    }
+    if (!normalized.publishingYear && item.year) {
+        normalized.publishingYear = String(item.year);
+    }
+    normalized.coverImage = normalized.coverUrl;
+    return normalized;
+}
+
+/**
+ * Convert an item to a `libraries` row
+ * id and user_id are left to the caller; missing dates to the database.
+ * @param {Object} item - Item or partial item
+ * @param {Object} options
+ * @param {boolean} options.partial - Only include fields present on the item, for updates
+ * @returns {Partial<LibraryRow>} Row values
+ */
+export function toRow(item, { partial = false } = {}) {
+    const normalized = normalizeItem(item);
+    const has = field => !partial || item[field] !== undefined ||
+        (field === 'coverUrl' && item.coverImage !== undefined);
+    const row = {};
+
+    for (const spec of ITEM_FIELDS) {
+        if (!has(spec.field)) continue;
+        // Dates are only copied into new rows, e.g. imported items keep when they were added
+        if (spec.type === 'timestamp' && (partial || !normalized[spec.field])) continue;
+        row[spec.column] = toColumnValue(normalized[spec.field], spec);
+    }
+
+    if (!partial || 'title' in row) {
+        row.title = row.title || 'Untitled';
+    }
+    if ('publishing_year' in row) {
+        const year = parseInt(row.publishing_year, 10);
+        row.year = isNaN(year) ? null : year;
+    }
+    if ('cover_url' in row) {
+        row.cover_image = row.cover_url;
+    }
+    return row;
+}
+
+/**
+ * Convert a `libraries` row to an item
+ * @param {LibraryRow} row - Database row
+ * @returns {LibraryItem} Item
+ */
+export function fromRow(row) {
+    const item = {};
+    for (const spec of ITEM_FIELDS) {
+        item[spec.field] = row[spec.column];
+    }
+    item.id = row.id;
+    item.publishingYear = row.publishing_year || (row.year ? String(row.year) : '');
+    item.coverUrl = row.cover_url || row.cover_image;
+    return normalizeItem(item);
+}
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { ITEM_FIELDS, normalizeItem, toRow, fromRow } from './itemMapper.js';
+
+const ID = '3f9c1e2a-5b7d-4c8e-9a0b-1d2e3f4a5b6c';
+
+// What the database hands back for a row written with toRow
+function roundTrip(item) {
+    return fromRow({ ...toRow(item), id: ID });
+}
+
+const fullItem = {
+    id: ID,
+    title: 'Attention Is All You Need',
+    author: 'Ashish Vaswani, Noam Shazeer',
+    type: 'Paper',
+    category: 'Machine Learning',
+    publishingYear: '2017',
+    status: 'finished',
+    pages: 15,
+    difficulty: 7,
+    language: 'english',
+    url: 'https://arxiv.org/abs/1706.03762',
+    coverUrl: 'https://example.com/cover.jpg',
+    coverImage: 'https://example.com/cover.jpg',
+    rating: 4.5,
+    summary: 'Introduces the Transformer.',
+    notes: 'Read with\nthe annotated version',
+    isbn: '9780262035613',
+    doi: '10.48550/arXiv.1706.03762',
+    venue: 'Neural Information Processing Systems',
+    citedBy: 100000,
+    pdfUrl: 'https://arxiv.org/pdf/1706.03762',
+    source: 'semantic_scholar',
+    googleBooksId: 'abc123',
+    semanticScholarId: '204e3073870fae3d05bcbc2f6a8e263d9b72e776',
+    dateAdded: '2024-01-15T10:30:00.000Z',
+    dateModified: '2024-02-01T08:00:00.000Z'
+};
+
+describe('toRow / fromRow', () => {
+    it('keeps every field of a full item', () => {
+        expect(roundTrip(fullItem)).toEqual(fullItem);
+    });
+
+    it('covers every field in ITEM_FIELDS', () => {
+        const row = toRow(fullItem);
+        for (const { field, column } of ITEM_FIELDS) {
+            expect(row, `${field} is written`).toHaveProperty(column);
+        }
+    });
+
+    it('writes the type in lower case and reads it back capitalized', () => {
+        expect(toRow({ title: 'Dune', type: 'Book' }).type).toBe('book');
+        expect(roundTrip({ title: 'Dune', type: 'book' }).type).toBe('Book');
+    });
+
+    it('stores empty text as null and reads it back as empty text', () => {
+        const item = { title: 'Dune', type: 'Book', author: '', notes: null, isbn: undefined };
+        const row = toRow(item);
+
+        expect(row.author).toBeNull();
+        expect(row.notes).toBeNull();
+        expect(row.isbn).toBeNull();
+        expect(roundTrip(item)).toMatchObject({ author: '', notes: '', isbn: '', summary: '' });
+    });
+
+    it('keeps empty numbers and dates null', () => {
+        const item = roundTrip({ title: 'Dune', type: 'Book', pages: '', rating: null, citedBy: undefined });
+
+        expect(item).toMatchObject({ pages: null, rating: null, citedBy: null, difficulty: null });
+        expect(item.dateAdded).toBeNull();
+        expect(item.dateModified).toBeNull();
+    });
+
+    it('round-trips an item with only a title', () => {
+        const item = { id: ID, title: 'Dune' };
+        expect(roundTrip(item)).toEqual(normalizeItem(item));
+    });
+
+    it('keeps a rating of 0 and a cited-by count of 0', () => {
+        expect(roundTrip({ title: 'Dune', rating: 0, citedBy: 0 })).toMatchObject({ rating: 0, citedBy: 0 });
+    });
+
+    it('names untitled items', () => {
+        expect(toRow({ title: '' }).title).toBe('Untitled');
+    });
+
+    it('derives year and cover_image for older readers', () => {
+        const row = toRow({ title: 'Dune', publishingYear: 'c. 1965', coverUrl: 'https://example.com/d.jpg' });
+
+        expect(row.year).toBeNull();
+        expect(toRow({ title: 'Dune', publishingYear: '1965' }).year).toBe(1965);
+        expect(row.cover_image).toBe('https://example.com/d.jpg');
+    });
+
+    it('falls back to the older year and cover_image columns', () => {
+        const item = fromRow({ id: ID, title: 'Dune', type: 'book', year: 1965, cover_image: 'https://example.com/d.jpg' });
+
+        expect(item.publishingYear).toBe('1965');
+        expect(item.coverUrl).toBe('https://example.com/d.jpg');
+        expect(item.coverImage).toBe('https://example.com/d.jpg');
+    });
+});
+
+describe('difficulty', () => {
+    it.each([1, 5, 10])('keeps %i', difficulty => {
+        expect(toRow({ title: 'Dune', difficulty }).difficulty).toBe(difficulty);
+        expect(roundTrip({ title: 'Dune', difficulty }).difficulty).toBe(difficulty);
+    });
+
+    it('accepts numeric strings from form fields', () => {
+        expect(roundTrip({ title: 'Dune', difficulty: '8' }).difficulty).toBe(8);
+    });
+
+    it.each([0, 11, -1, 5.5, 'medium'])('drops %s, which the table would reject', difficulty => {
+        expect(toRow({ title: 'Dune', difficulty }).difficulty).toBeNull();
+        expect(roundTrip({ title: 'Dune', difficulty }).difficulty).toBeNull();
+    });
+});
+
+describe('partial rows', () => {
+    it('only includes the fields being changed', () => {
+        expect(toRow({ notes: 'Re-read' }, { partial: true })).toEqual({ notes: 'Re-read' });
+    });
+
+    it('clears a field set to empty', () => {
+        expect(toRow({ difficulty: null, summary: '' }, { partial: true })).toEqual({ difficulty: null, summary: null });
+    });
+
+    it('never writes dates, which the database keeps', () => {
+        expect(toRow({ dateModified: '2024-02-01T08:00:00.000Z' }, { partial: true })).toEqual({});
+    });
+
+    it('updates year and cover_image along with their fields', () => {
+        expect(toRow({ publishingYear: '2001', coverImage: 'https://example.com/c.jpg' }, { partial: true })).toEqual({
+            publishing_year: '2001',
+            year: 2001,
+            cover_url: 'https://example.com/c.jpg',
+            cover_image: 'https://example.com/c.jpg'
+        });
+    });
+});
@@ -0,0 +1,225 @@
+// Importing library items from a file into the active storage adapter
+// The pipeline is: parse the file, validate each record against the item
+// fields, plan what the import would do (shown as a preview), then commit the
+// plan in batches. Nothing is written until commitImport.
+//
+// Modes:
+//   merge   - update items that match a record, add the rest
+//   append  - add records that match nothing, skip the others
+//   replace - add every record, then delete the items that were there before
+
+import { ITEM_FIELDS, ITEM_TYPES, WRITABLE_FIELDS, normalizeItem } from './itemMapper.js';
+import { DuplicateIndex, normalizeDoi, normalizeIsbn } from './duplicates.js';
+import { parseBibtex, parseRis } from './citations.js';
+
+export const IMPORT_MODES = ['merge', 'append', 'replace'];
+const BATCH_SIZE = 50;
+
+// Records from an import file, read by its extension: .json, .bib or .ris
+export function parseImportFile(fileName, text) {
+    const extension = String(fileName).split('.').pop().toLowerCase();
+    if (extension === 'json') return parseJsonImport(text);
+    if (extension === 'bib') return parseBibtex(text);
+    if (extension === 'ris') return parseRis(text);
+    throw new Error('Choose a .json, .bib or .ris file');
+}
+
+// Records from a JSON backup: an array of items (as exported) or { items: [...] }
+export function parseJsonImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a valid JSON file: ${error.message}`);
+    }
+
+    const records = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(records)) {
+        throw new Error('Expected a list of library items');
+    }
+    return records;
+}
+
+// Check a record against the item fields
+// Returns { item, errors }: the normalized item, or the problems found.
+export function validateRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { item: null, errors: ['not an object'] };
+    }
+
+    const errors = [];
+    if (typeof record.title !== 'string' || !record.title.trim()) {
+        errors.push('title is required');
+    }
+    if (record.type !== undefined && record.type !== null && record.type !== '' &&
+        !ITEM_TYPES.some(type => type.toLowerCase() === String(record.type).toLowerCase())) {
+        errors.push(`type must be ${ITEM_TYPES.join(' or ')}`);
+    }
+
+    for (const { field, type, min, max } of ITEM_FIELDS) {
+        const value = record[field];
+        if (value === undefined || value === null || value === '' || type === 'itemType') continue;
+
+        if (type === 'text' && typeof value !== 'string' && typeof value !== 'number') {
+            errors.push(`${field} must be text`);
+        } else if (type === 'integer' || type === 'number') {
+            const number = Number(value);
+            const valid = !isNaN(number) &&
+                (type === 'number' || Number.isInteger(number)) &&
+                (min === undefined || number >= min) &&
+                (max === undefined || number <= max);
+            if (!valid) {
+                const range = max === undefined ? `at least ${min}` : `between ${min} and ${max}`;
+                errors.push(`${field} must be ${type === 'integer' ? 'a whole number' : 'a number'} ${range}`);
+            }
+        } else if (type === 'timestamp' && isNaN(new Date(value).getTime())) {
+            errors.push(`${field} must be a date`);
+        }
+    }
+
+    return errors.length > 0 ? { item: null, errors } : { item: normalizeItem(record), errors };
+}
+
+// Work out what importing `records` into `existingItems` would do
+// Returns lists for the preview and for commitImport:
+//   create     - items to add (without their old IDs in replace mode)
+//   update     - { id, changes, item } for matching items that the record changes
+//   remove     - IDs to delete once everything is added (replace mode)
+//   duplicates - items that match and would change nothing (or are repeated in the file)
+//   invalid    - { index, record, errors } for records that failed validation
+export function planImport(records, existingItems, mode = 'merge') {
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const plan = { mode, create: [], update: [], remove: [], duplicates: [], invalid: [] };
+    const existing = mode === 'replace' ? [] : existingItems;
+    const existingById = new Map(existing.map(item => [String(item.id), item]));
+    const index = new DuplicateIndex(existing);
+    const seen = new DuplicateIndex();
+
+    if (mode === 'replace') {
+        plan.remove = existingItems.map(item => item.id);
+    }
+
+    records.forEach((record, recordIndex) => {
+        const { item, errors } = validateRecord(record);
+        if (!item) {
+            plan.invalid.push({ index: recordIndex, record, errors });
+            return;
+        }
+
+        // Repeated within the file: the first copy wins
+        if (seen.find(item)) {
+            plan.duplicates.push(item);
+            return;
+        }
+        seen.add(item);
+
+        // A record exported from this library still has its ID
+        const match = existingById.get(String(item.id)) || index.find(item);
+        if (!match) {
+            // Replace deletes the old items by ID once the new ones are added,
+            // so a restored backup must not bring its old IDs back with it
+            if (mode === 'replace') {
+                const { id, ...fresh } = item;
+                plan.create.push(fresh);
+            } else {
+                plan.create.push(item);
+            }
+            return;
+        }
+
+        const changes = mode === 'merge' ? changedFields(normalizeItem(match), item, record) : {};
+        if (Object.keys(changes).length > 0) {
+            plan.update.push({ id: match.id, changes, item: { ...match, ...changes } });
+        } else {
+            plan.duplicates.push(item);
+        }
+    });
+
+    return plan;
+}
+
+// Write a plan through a storage adapter, BATCH_SIZE items per call
+// onProgress(done, total) is called after each batch.
+// Replace only deletes the old items once every new one is stored; if adding
+// fails, the items added so far are deleted again and the library is as it was.
+export async function commitImport(store, plan, { onProgress = () => {} } = {}) {
+    const total = plan.remove.length + plan.create.length + plan.update.length;
+    let done = 0;
+    const progress = count => {
+        done += count;
+        onProgress(done, total);
+    };
+
+    const created = [];
+    try {
+        for (const batch of batches(plan.create)) {
+            created.push(...await store.bulkCreate(batch));
+            progress(batch.length);
+        }
+    } catch (error) {
+        if (plan.mode === 'replace' && created.length > 0) {
+            await rollBack(store, created);
+        }
+        throw error;
+    }
+
+    for (const batch of batches(plan.remove)) {
+        await store.bulkRemove(batch);
+        progress(batch.length);
+    }
+
+    // Every update has its own changes, so these go one at a time
+    const updated = [];
+    for (const { id, changes } of plan.update) {
+        updated.push(await store.update(id, changes));
+        progress(1);
+    }
+
+    return { created, updated };
+}
+
+// Delete the items a failed replace added; the original error is what gets reported
+async function rollBack(store, created) {
+    try {
+        for (const batch of batches(created.map(item => item.id))) {
+            await store.bulkRemove(batch);
+        }
+    } catch (error) {
+        console.error('❌ Could not remove the items added by the failed import:', error);
+    }
+}
+
+// Fields the record sets to a different value than the existing item
+// Empty values in the record don't clear anything.
+function changedFields(existing, item, record) {
+    const changes = {};
+    for (const field of WRITABLE_FIELDS) {
+        const value = field === 'coverUrl' ? (record.coverUrl || record.coverImage) : record[field];
+        const present = value !== undefined && value !== null && value !== '';
+        if (present && !sameValue(field, item[field], existing[field])) {
+            changes[field] = item[field];
+        }
+    }
+    return changes;
+}
+
+// Values that only differ in how they're written (spacing, DOI as a URL, ISBN-10
+// vs ISBN-13) are the same; BibTeX and RIS files don't keep line breaks or DOI URLs
+function sameValue(field, a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    if (field === 'doi') return normalizeDoi(a) === normalizeDoi(b);
+    if (field === 'isbn' && normalizeIsbn(a)) return normalizeIsbn(a) === normalizeIsbn(b);
+    return a.replace(/\s+/g, ' ').trim() === b.replace(/\s+/g, ' ').trim();
+}
+
+function batches(list) {
+    const result = [];
+    for (let i = 0; i < list.length; i += BATCH_SIZE) {
+        result.push(list.slice(i, i + BATCH_SIZE));
+    }
+    return result;
+}
@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseJsonImport, validateRecord, planImport, commitImport } from './libraryImport.js';
+import { LocalLibraryStore } from './localLibraryStore.js';
+
+// localStorage stand-in for LocalLibraryStore
+function memoryStorage() {
+    const values = new Map();
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key)
+    };
+}
+
+// Store that records each call and can fail its nth bulkCreate
+function recordingStore({ failOnCreate = 0 } = {}) {
+    const calls = [];
+    let creates = 0;
+    return {
+        calls,
+        async bulkCreate(items) {
+            if (++creates === failOnCreate) throw new Error('create failed');
+            calls.push(['create', items.length]);
+            return items.map((item, index) => ({ ...item, id: `new-${creates}-${index}` }));
+        },
+        async bulkRemove(ids) {
+            calls.push(['remove', ids]);
+        },
+        async update(id, changes) {
+            calls.push(['update', id]);
+            return { id, ...changes };
+        }
+    };
+}
+
+const existing = [
+    { id: 'a', title: 'Dune', author: 'Frank Herbert', type: 'Book', notes: 'Keep these', rating: 4 },
+    { id: 'b', title: 'Attention Is All You Need', author: 'Vaswani', type: 'Paper', doi: '10.1/abc' }
+];
+
+const titles = count => Array.from({ length: count }, (_, index) => ({ title: `Title ${index}` }));
+
+describe('parseJsonImport', () => {
+    it('accepts an array or { items }', () => {
+        expect(parseJsonImport('[{"title":"Dune"}]')).toHaveLength(1);
+        expect(parseJsonImport('{"items":[{"title":"Dune"}]}')).toHaveLength(1);
+    });
+
+    it('rejects invalid JSON and other shapes', () => {
+        expect(() => parseJsonImport('{')).toThrow(/Not a valid JSON/);
+        expect(() => parseJsonImport('{"title":"Dune"}')).toThrow(/list of library items/);
+    });
+});
+
+describe('validateRecord', () => {
+    it('reports every problem with a record', () => {
+        expect(validateRecord({ title: 'Dune', type: 'video', difficulty: 11 }).errors).toEqual([
+            'type must be Book or Paper',
+            'difficulty must be a whole number between 1 and 10'
+        ]);
+        expect(validateRecord({ title: ' ' }).errors).toEqual(['title is required']);
+    });
+});
+
+describe('planImport', () => {
+    const records = [
+        { id: 'a', title: 'Dune', author: 'Frank Herbert', notes: '', rating: 5 },
+        { title: 'Attention', doi: 'https://doi.org/10.1/ABC' },
+        { title: 'Neuromancer' },
+        { title: 'Neuromancer' },
+        { title: '' }
+    ];
+
+    it('updates matching items in merge mode without clearing fields', () => {
+        const plan = planImport(records, existing, 'merge');
+
+        expect(plan.update[0]).toEqual({ id: 'a', changes: { rating: 5 }, item: { ...existing[0], rating: 5 } });
+        expect(plan.update[1]).toMatchObject({ id: 'b', changes: { title: 'Attention' } });
+        expect(plan.create.map(item => item.title)).toEqual(['Neuromancer']);
+        expect(plan.duplicates).toHaveLength(1);
+        expect(plan.invalid).toHaveLength(1);
+    });
+
+    it('skips matching items in append mode', () => {
+        const plan = planImport(records, existing, 'append');
+
+        expect(plan.update).toEqual([]);
+        expect(plan.create.map(item => item.title)).toEqual(['Neuromancer']);
+        expect(plan.duplicates).toHaveLength(3);
+    });
+
+    it('adds every record and removes the old items in replace mode', () => {
+        const plan = planImport(records, existing, 'replace');
+
+        expect(plan.remove).toEqual(['a', 'b']);
+        expect(plan.create.map(item => item.title)).toEqual(['Dune', 'Attention', 'Neuromancer']);
+    });
+
+    it('drops the old IDs of records added in replace mode', () => {
+        const plan = planImport(existing, existing, 'replace');
+
+        expect(plan.create.every(item => !('id' in item))).toBe(true);
+    });
+
+    it('rejects unknown modes', () => {
+        expect(() => planImport(records, existing, 'overwrite')).toThrow(/Unknown import mode/);
+    });
+});
+
+describe('commitImport', () => {
+    it('adds in batches before removing the old items', async () => {
+        const store = recordingStore();
+        const progress = [];
+
+        const result = await commitImport(store, planImport(titles(120), existing, 'replace'), {
+            onProgress: (done, total) => progress.push(`${done}/${total}`)
+        });
+
+        expect(store.calls).toEqual([['create', 50], ['create', 50], ['create', 20], ['remove', ['a', 'b']]]);
+        expect(result.created).toHaveLength(120);
+        expect(progress.at(-1)).toBe('122/122');
+    });
+
+    it('removes what it added and keeps the old items when adding fails in replace mode', async () => {
+        const store = recordingStore({ failOnCreate: 2 });
+
+        await expect(commitImport(store, planImport(titles(60), existing, 'replace'))).rejects.toThrow('create failed');
+
+        expect(store.calls).toHaveLength(2);
+        expect(store.calls[1][0]).toBe('remove');
+        expect(store.calls[1][1]).toHaveLength(50);
+        expect(store.calls[1][1]).not.toContain('a');
+    });
+
+    it('applies updates one at a time after adding', async () => {
+        const store = recordingStore();
+
+        await commitImport(store, planImport([{ id: 'a', title: 'Dune', rating: 5 }, { title: 'Neuromancer' }], existing, 'merge'));
+
+        expect(store.calls).toEqual([['create', 1], ['update', 'a']]);
+    });
+
+    describe('with the local store', () => {
+        let store;
+
+        beforeEach(() => {
+            vi.stubGlobal('window', { crypto: globalThis.crypto });
+            store = new LocalLibraryStore(memoryStorage());
+        });
+
+        afterEach(() => {
+            vi.unstubAllGlobals();
+        });
+
+        it('restores an exported backup in replace mode', async () => {
+            await store.bulkCreate(existing);
+            const backup = parseJsonImport(JSON.stringify(await store.list()));
+
+            await commitImport(store, planImport(backup, await store.list(), 'replace'));
+
+            const items = await store.list();
+            expect(items.map(item => item.title)).toEqual(['Dune', 'Attention Is All You Need']);
+            expect(items.map(item => item.id)).not.toContain('a');
+        });
+    });
+});
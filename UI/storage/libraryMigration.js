@@ -0,0 +1,102 @@
+// Moving the library kept in this browser while signed out into the account
+// Each local item is either added, merged into the account's copy of the same
+// item (filling in fields the account copy leaves empty), skipped as already
+// there, or reported as a conflict when both copies have different values.
+// Existing values in the account are never overwritten.
+
+import { normalizeItem, WRITABLE_FIELDS } from './itemMapper.js';
+import { DuplicateIndex } from './duplicates.js';
+
+// Fields the user fills in; a different non-empty value here is a conflict.
+// Other fields (cover, identifiers, ...) only fill gaps.
+const CONFLICT_FIELDS = [
+    'category', 'publishingYear', 'status', 'pages', 'difficulty',
+    'language', 'rating', 'summary', 'notes'
+];
+// What makes an item that item; a duplicate may spell these differently
+const IDENTITY_FIELDS = ['title', 'author', 'type'];
+
+// Work out what to do with each local item
+// Returns { create, updates: [{ id, changes }], added, merged, skipped, conflicted },
+// the last four being lists of local items for the report.
+export function planMigration(localItems, accountItems) {
+    const index = new DuplicateIndex(accountItems);
+    const plan = { create: [], updates: [], added: [], merged: [], skipped: [], conflicted: [] };
+
+    for (const localItem of localItems) {
+        const item = normalizeItem(localItem);
+        const match = index.find(item);
+
+        if (!match) {
+            plan.create.push(item);
+            plan.added.push(item);
+            index.add(item); // Catches duplicates within the local library too
+            continue;
+        }
+        if (plan.create.includes(match)) {
+            plan.skipped.push(item);
+            continue;
+        }
+
+        const { changes, conflicts } = compareItems(normalizeItem(match), item);
+        if (Object.keys(changes).length > 0) {
+            plan.updates.push({ id: match.id, changes });
+        }
+        if (conflicts.length > 0) {
+            plan.conflicted.push({ ...item, conflicts });
+        } else if (Object.keys(changes).length > 0) {
+            plan.merged.push(item);
+        } else {
+            plan.skipped.push(item);
+        }
+    }
+
+    return plan;
+}
+
+// Write a plan through the account's storage adapter
+// Resolves with { created, updated }. On failure, the error carries what was
+// written before it as error.migrated, in the same shape.
+export async function runMigration(store, plan) {
+    const migrated = { created: [], updated: [] };
+    try {
+        if (plan.create.length > 0) {
+            migrated.created = await store.bulkCreate(plan.create);
+        }
+        for (const { id, changes } of plan.updates) {
+            migrated.updated.push(await store.update(id, changes));
+        }
+    } catch (error) {
+        error.migrated = migrated;
+        throw error;
+    }
+    return migrated;
+}
+
+// Fields of `local` that can fill gaps in `existing`, and fields where they disagree
+function compareItems(existing, local) {
+    const changes = {};
+    const conflicts = [];
+
+    for (const field of WRITABLE_FIELDS) {
+        if (IDENTITY_FIELDS.includes(field) || isEmpty(local[field])) continue;
+        if (isEmpty(existing[field])) {
+            changes[field] = local[field];
+        } else if (CONFLICT_FIELDS.includes(field) && !sameValue(existing[field], local[field])) {
+            conflicts.push(field);
+        }
+    }
+
+    return { changes, conflicts };
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function sameValue(a, b) {
+    if (typeof a === 'string' && typeof b === 'string') {
+        return a.trim().toLowerCase() === b.trim().toLowerCase();
+    }
+    return a === b;
+}
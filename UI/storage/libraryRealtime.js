@@ -0,0 +1,38 @@
+// Library changes made on other devices, through Supabase Realtime
+// Needs the `libraries` table in the supabase_realtime publication (see
+// supabase-setup.md). Changes are passed on as:
+//   { type: 'upsert', item }  - an item was added or edited
+//   { type: 'delete', id }    - an item was deleted
+
+import { fromRow } from './itemMapper.js';
+
+// Subscribe to a user's library changes; returns a function that unsubscribes
+export function subscribeToLibraryChanges(supabase, userId, onChange) {
+    const table = { schema: 'public', table: 'libraries' };
+
+    const channel = supabase
+        .channel(`libraries:${userId}`)
+        .on('postgres_changes', { ...table, event: 'INSERT', filter: `user_id=eq.${userId}` }, payload => {
+            onChange({ type: 'upsert', item: fromRow(payload.new) });
+        })
+        .on('postgres_changes', { ...table, event: 'UPDATE', filter: `user_id=eq.${userId}` }, payload => {
+            onChange({ type: 'upsert', item: fromRow(payload.new) });
+        })
+        // Realtime can't filter deletes, so every client gets every deleted row's ID
+        // (see supabase-setup.md). Rows that carry user_id (REPLICA IDENTITY FULL)
+        // are checked here; a bare ID never matches anything in another library.
+        .on('postgres_changes', { ...table, event: 'DELETE' }, payload => {
+            const old = payload.old || {};
+            if (!old.id || (old.user_id && old.user_id !== userId)) return;
+            onChange({ type: 'delete', id: old.id });
+        })
+        .subscribe((status, error) => {
+            if (status === 'SUBSCRIBED') {
+                console.log('📡 Listening for library changes from other devices');
+            } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                console.warn('⚠️ Realtime library updates unavailable:', error?.message || status);
+            }
+        });
+
+    return () => supabase.removeChannel(channel);
+}
@@ -0,0 +1,112 @@
+// IndexedDB copy of a signed-in user's library, plus the outbox of changes
+// that haven't reached the backend yet. Used by OfflineLibraryStore.
+//
+// Object stores:
+//   items  - library items in the app's format, keyed by id
+//   outbox - queued changes in the order they were made, keyed by an increasing seq:
+//            { op: 'create', id, item }
+//            { op: 'update', id, changes, dateModified }
+//            { op: 'delete', id, dateModified }
+//            at most one per item; dateModified is when the queued change was last made
+
+const DB_VERSION = 1;
+const ITEMS = 'items';
+const OUTBOX = 'outbox';
+
+export class LibraryReplica {
+    constructor(name, indexedDB = globalThis.indexedDB) {
+        this.name = name;
+        this.indexedDB = indexedDB;
+        this.dbPromise = null;
+    }
+
+    // Open the database on first use
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.name, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore(ITEMS, { keyPath: 'id' });
+                    db.createObjectStore(OUTBOX, { keyPath: 'seq', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async items() {
+        return this.transaction([ITEMS], 'readonly', tx => tx.objectStore(ITEMS).getAll());
+    }
+
+    async get(id) {
+        const item = await this.transaction([ITEMS], 'readonly', tx => tx.objectStore(ITEMS).get(id));
+        return item || null;
+    }
+
+    async putItems(items) {
+        await this.transaction([ITEMS], 'readwrite', tx => {
+            const store = tx.objectStore(ITEMS);
+            items.forEach(item => store.put(item));
+        });
+    }
+
+    // Swap the whole copy for a fresh one from the backend
+    async replaceItems(items) {
+        await this.transaction([ITEMS], 'readwrite', tx => {
+            const store = tx.objectStore(ITEMS);
+            store.clear();
+            items.forEach(item => store.put(item));
+        });
+    }
+
+    // Queued changes, oldest first
+    async outbox() {
+        return this.transaction([OUTBOX], 'readonly', tx => tx.objectStore(OUTBOX).getAll());
+    }
+
+    async pendingCount() {
+        return this.transaction([OUTBOX], 'readonly', tx => tx.objectStore(OUTBOX).count());
+    }
+
+    // Change queued entries and the item copy in one transaction, so the
+    // outbox always matches the items it was applied to
+    //   add     - new outbox entries
+    //   replace - existing entries (with seq) to overwrite
+    //   drop    - seqs of entries to remove
+    //   put     - items to store
+    //   remove  - IDs of items to delete
+    async commit({ add = [], replace = [], drop = [], put = [], remove = [] }) {
+        await this.transaction([ITEMS, OUTBOX], 'readwrite', tx => {
+            const outbox = tx.objectStore(OUTBOX);
+            const items = tx.objectStore(ITEMS);
+            add.forEach(entry => outbox.add(entry));
+            replace.forEach(entry => outbox.put(entry));
+            drop.forEach(seq => outbox.delete(seq));
+            remove.forEach(id => items.delete(id));
+            put.forEach(item => items.put(item));
+        });
+    }
+
+    // Run `fn` in a transaction and resolve once it has committed
+    // If `fn` returns a request, resolve with that request's result.
+    async transaction(storeNames, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = fn(tx);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    close() {
+        if (this.dbPromise) {
+            this.dbPromise.then(db => db.close(), () => {});
+            this.dbPromise = null;
+        }
+    }
+}
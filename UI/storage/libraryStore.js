@@ -0,0 +1,60 @@
+// LIBRARY STORAGE ADAPTERS
+// Every adapter has the same async interface and works on items in the app's
+// format (the objects kept in `libraryItems`):
+//
+//   list()                     -> all items
+//   get(id)                    -> item or null
+//   create(item)               -> the stored item (with its storage ID)
+//   update(id, changes)        -> the updated item
+//   remove(id)
+//   bulkCreate(items)          -> the stored items
+//   bulkUpdate(ids, changes)   -> the updated items
+//   bulkRemove(ids)
+//   close()                    -> optional, called before the adapter is replaced
+//
+// Adapters:
+//   supabase - the Supabase `libraries` table, straight from the browser
+//   api      - the server's /api/library (Supabase or a self-hosted SQLite file)
+//   local    - this browser's localStorage, for signed-out use
+//
+// Signed-in adapters are wrapped in an OfflineLibraryStore, which keeps a copy
+// in IndexedDB and queues changes made while the backend can't be reached.
+
+import { SupabaseLibraryStore } from './supabaseLibraryStore.js';
+import { ApiLibraryStore } from './apiLibraryStore.js';
+import { LocalLibraryStore } from './localLibraryStore.js';
+import { OfflineLibraryStore } from './offlineLibraryStore.js';
+
+export const LIBRARY_STORES = ['supabase', 'api', 'local'];
+
+// Pick the adapter for the current session
+// Signed-out users always get local storage; signed-in users get `kind`
+// (VITE_LIBRARY_STORE, default 'supabase').
+export function createLibraryStore({ kind = 'supabase', supabase, user, apiBaseUrl = '' }) {
+    if (!user || kind === 'local') {
+        return new LocalLibraryStore();
+    }
+
+    const remote = createRemoteStore({ kind, supabase, user, apiBaseUrl });
+    if (typeof indexedDB === 'undefined') {
+        return remote;
+    }
+    return new OfflineLibraryStore(remote, { name: `library-replica-${user.id}` });
+}
+
+function createRemoteStore({ kind, supabase, user, apiBaseUrl }) {
+    if (kind === 'api') {
+        return new ApiLibraryStore({
+            baseUrl: apiBaseUrl,
+            getAccessToken: async () => {
+                const { data: { session } } = await supabase.auth.getSession();
+                return session ? session.access_token : null;
+            }
+        });
+    }
+
+    if (kind !== 'supabase') {
+        console.warn(`Unknown library store "${kind}", using Supabase`);
+    }
+    return new SupabaseLibraryStore(supabase, user);
+}
@@ -0,0 +1,101 @@
+// Library items in this browser's localStorage
+// The whole library is one JSON array under STORAGE_KEY, as it always was.
+
+const STORAGE_KEY = 'digitalLibrary';
+const BACKUP_KEY = 'digitalLibraryBackup';
+
+export class LocalLibraryStore {
+    constructor(storage = window.localStorage) {
+        this.kind = 'local';
+        this.storage = storage;
+    }
+
+    async list() {
+        return this.read();
+    }
+
+    async get(id) {
+        return this.read().find(item => item.id === id) || null;
+    }
+
+    async create(item) {
+        const [created] = await this.bulkCreate([item]);
+        return created;
+    }
+
+    async update(id, changes) {
+        const [updated] = await this.bulkUpdate([id], changes);
+        if (!updated) {
+            throw new Error('Item not found');
+        }
+        return updated;
+    }
+
+    async remove(id) {
+        await this.bulkRemove([id]);
+    }
+
+    async bulkCreate(items) {
+        const now = new Date().toISOString();
+        const created = items.map(item => ({
+            ...item,
+            id: item.id ?? newId(),
+            dateAdded: item.dateAdded || now
+        }));
+        this.write([...this.read(), ...created]);
+        return created;
+    }
+
+    async bulkUpdate(ids, changes) {
+        const now = new Date().toISOString();
+        const updated = [];
+        const items = this.read().map(item => {
+            if (!ids.includes(item.id)) return item;
+            const next = { ...item, ...changes, id: item.id, dateModified: now };
+            updated.push(next);
+            return next;
+        });
+        this.write(items);
+        return updated;
+    }
+
+    async bulkRemove(ids) {
+        this.write(this.read().filter(item => !ids.includes(item.id)));
+    }
+
+    // Replace the stored library with `items` (for callers that edit libraryItems in place)
+    async replaceAll(items) {
+        this.write(items);
+    }
+
+    read() {
+        try {
+            const saved = this.storage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Failed to read library from localStorage:', error);
+            return [];
+        }
+    }
+
+    write(items) {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(items));
+    }
+
+    // Remove the stored library (after it has been loaded from an account)
+    clear() {
+        this.storage.removeItem(STORAGE_KEY);
+    }
+
+    // Move the stored library aside once it has been copied into an account
+    // Only the latest copy is kept, under BACKUP_KEY.
+    archive() {
+        const saved = this.storage.getItem(STORAGE_KEY);
+        if (saved) this.storage.setItem(BACKUP_KEY, saved);
+        this.clear();
+    }
+}
+
+function newId() {
+    return window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
@@ -0,0 +1,345 @@
+// Offline-first wrapper around a signed-in user's backend store (supabase or api)
+// Reads come from an IndexedDB replica (see libraryReplica.js) that is refreshed
+// whenever the backend can be reached. Writes go straight to the backend when
+// it is reachable; otherwise they are applied to the replica and queued in a
+// durable outbox that is replayed, in order, on reconnect.
+//
+// The outbox holds at most one entry per item: later offline changes are folded
+// into the entry already queued for it (update into create or update, delete
+// replaces an update and cancels a create).
+//
+// Conflicts are resolved last writer wins on dateModified: each queued update or
+// delete carries the time of the latest offline change to the item, and is
+// dropped when the backend's copy was modified after that.
+//
+// The app is told about sync progress through two optional callbacks:
+//   onStatusChange({ online, syncing, pending, skipped, error }) - for the sync
+//     indicator; skipped counts queued changes the last sync dropped because
+//     the item was changed later elsewhere
+//   onSync(items) - after a background sync brought in a fresh copy of the library
+
+import { LibraryReplica } from './libraryReplica.js';
+import { normalizeItem } from './itemMapper.js';
+
+const RETRY_DELAY_MS = 30000;
+
+export class OfflineLibraryStore {
+    constructor(remote, { name, indexedDB } = {}) {
+        this.kind = remote.kind;
+        this.remote = remote;
+        this.replica = new LibraryReplica(name, indexedDB);
+        this.status = { online: isOnline(), syncing: false, pending: 0, skipped: 0, error: null };
+        this.onStatusChange = null;
+        this.onSync = null;
+        this.syncing = null;
+        this.retryTimer = null;
+        // Items created offline get a local ID until the backend assigns theirs
+        this.syncedIds = new Map();
+
+        this.handleOnline = () => this.sync({ notify: true });
+        this.handleOffline = () => this.setStatus({ online: false });
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+    }
+
+    async list() {
+        await this.sync();
+        return this.replica.items();
+    }
+
+    async get(id) {
+        return this.replica.get(this.resolveId(id));
+    }
+
+    async create(item) {
+        const [created] = await this.bulkCreate([item]);
+        return created;
+    }
+
+    async update(id, changes) {
+        const [updated] = await this.bulkUpdate([id], changes);
+        if (!updated) {
+            throw new Error('Item not found');
+        }
+        return updated;
+    }
+
+    async remove(id) {
+        await this.bulkRemove([id]);
+    }
+
+    async bulkCreate(items) {
+        return this.write(
+            async () => {
+                const created = await this.remote.bulkCreate(items);
+                await this.replica.putItems(created);
+                return created;
+            },
+            async () => {
+                const now = new Date().toISOString();
+                const created = items.map(item => ({
+                    ...normalizeItem(item),
+                    id: newId(),
+                    dateAdded: item.dateAdded || now,
+                    dateModified: now
+                }));
+                await this.replica.commit({
+                    add: created.map(item => ({ op: 'create', id: item.id, item })),
+                    put: created
+                });
+                return created;
+            }
+        );
+    }
+
+    async bulkUpdate(ids, changes) {
+        ids = ids.map(id => this.resolveId(id));
+        return this.write(
+            async () => {
+                const updated = await this.remote.bulkUpdate(ids, changes);
+                await this.replica.putItems(updated);
+                return updated;
+            },
+            async () => {
+                const now = new Date().toISOString();
+                const queued = await this.queuedEntries();
+                const add = [];
+                const replace = [];
+                const updated = [];
+
+                for (const id of ids) {
+                    const item = await this.replica.get(id);
+                    if (!item) continue;
+                    const next = { ...item, ...changes, id, dateModified: now };
+                    updated.push(next);
+
+                    // Fold the changes into what's already queued for the item
+                    const entry = queued.get(id);
+                    if (entry?.op === 'create') {
+                        replace.push({ ...entry, item: next });
+                    } else if (entry?.op === 'update') {
+                        replace.push({ ...entry, changes: { ...entry.changes, ...changes }, dateModified: now });
+                    } else {
+                        add.push({ op: 'update', id, changes, dateModified: now });
+                    }
+                }
+
+                await this.replica.commit({ add, replace, put: updated });
+                return updated;
+            }
+        );
+    }
+
+    async bulkRemove(ids) {
+        ids = ids.map(id => this.resolveId(id));
+        await this.write(
+            () => this.remote.bulkRemove(ids).then(() => this.replica.commit({ remove: ids })),
+            async () => {
+                const now = new Date().toISOString();
+                const queued = await this.queuedEntries();
+                const add = [];
+                const replace = [];
+                const drop = [];
+
+                for (const id of ids) {
+                    const entry = queued.get(id);
+                    if (entry?.op === 'create') {
+                        // Never reached the backend: only the create needs dropping
+                        drop.push(entry.seq);
+                    } else if (entry?.op === 'update') {
+                        // Takes the update's place in the outbox
+                        replace.push({ seq: entry.seq, op: 'delete', id, dateModified: now });
+                    } else if (!entry) {
+                        add.push({ op: 'delete', id, dateModified: now });
+                    }
+                }
+                await this.replica.commit({ add, replace, drop, remove: ids });
+            }
+        );
+    }
+
+    // Write to the backend, or queue the write when it can't be reached
+    // Once something is queued, later writes queue behind it to keep their order.
+    async write(sendToRemote, queueLocally) {
+        if (isOnline() && await this.replica.pendingCount() === 0) {
+            try {
+                return await sendToRemote();
+            } catch (error) {
+                if (!isNetworkError(error)) throw error;
+                console.warn('📴 Library backend unreachable, queueing change');
+                this.setStatus({ online: false });
+            }
+        }
+
+        const result = await queueLocally();
+        await this.refreshPending();
+        if (isOnline()) {
+            this.sync({ notify: true });
+        } else {
+            this.scheduleRetry();
+        }
+        return result;
+    }
+
+    // Replay the outbox, then refresh the replica from the backend
+    // Resolves with false when the backend couldn't be reached; the replica is
+    // left as it was. With `notify`, onSync gets the refreshed items.
+    sync({ notify = false } = {}) {
+        if (!this.syncing) {
+            this.syncing = this.runSync(notify).finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async runSync(notify) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.setStatus({ syncing: true });
+
+        try {
+            const { replayed, skipped, rejected } = await this.flush();
+            const items = await this.remote.list();
+
+            // Changes queued while listing aren't in `items` yet; pick them up next round
+            if (await this.replica.pendingCount() > 0) {
+                this.scheduleRetry(0);
+            } else {
+                await this.replica.replaceItems(items);
+                if (notify || replayed > 0) this.onSync?.(items);
+            }
+
+            // Keep skipped and rejected changes visible on the indicator until the next sync
+            this.setStatus({ online: true, syncing: false, skipped, error: rejected.length > 0 ? rejected.join('; ') : null });
+            return true;
+        } catch (error) {
+            const offline = isNetworkError(error);
+            if (offline) {
+                console.warn('📴 Library backend unreachable, using the copy on this device');
+            } else {
+                console.error('❌ Library sync failed:', error);
+            }
+            this.setStatus({ online: !offline, syncing: false, error: offline ? null : error.message });
+            this.scheduleRetry();
+            return false;
+        } finally {
+            await this.refreshPending();
+        }
+    }
+
+    // Send queued changes to the backend, oldest first
+    // Stops at the first network error; changes the backend rejects are dropped,
+    // since sending them again would fail the same way.
+    // Resolves with { replayed, skipped, rejected } (skipped: changes that lost to a
+    // later change elsewhere; rejected: the backend's error messages)
+    async flush() {
+        let replayed = 0;
+        let skipped = 0;
+        const rejected = [];
+        for (const entry of await this.replica.outbox()) {
+            try {
+                if (!await this.replay(entry)) skipped++;
+            } catch (error) {
+                if (isNetworkError(error)) throw error;
+                console.error('❌ Dropping queued library change the backend rejected:', entry, error);
+                rejected.push(error.message);
+            }
+            await this.replica.commit({ drop: [entry.seq] });
+            await this.refreshPending();
+            replayed++;
+        }
+        return { replayed, skipped, rejected };
+    }
+
+    // Send one queued change; resolves with false when a later change elsewhere wins
+    async replay(entry) {
+        if (entry.op === 'create') {
+            const created = await this.remote.create(entry.item);
+            this.syncedIds.set(entry.id, created.id);
+            await this.replica.commit({ remove: [entry.id], put: [created] });
+            return true;
+        }
+
+        // Last writer wins: keep the backend's copy if it was modified after the offline change
+        const current = await this.remote.get(entry.id);
+        if (!current) return true; // Already deleted elsewhere
+        if (isNewer(current.dateModified, entry.dateModified)) return false;
+
+        if (entry.op === 'update') {
+            await this.remote.update(entry.id, entry.changes);
+        } else {
+            await this.remote.remove(entry.id);
+        }
+        return true;
+    }
+
+    // Keep the replica current with a change made on another device (from Realtime)
+    // Items with queued changes are left for the next sync to reconcile.
+    async applyRemoteChange(change) {
+        const id = change.type === 'delete' ? change.id : change.item.id;
+        const entries = await this.replica.outbox();
+        if (entries.some(entry => entry.id === id)) return;
+
+        if (change.type === 'delete') {
+            await this.replica.commit({ remove: [id] });
+        } else {
+            await this.replica.putItems([change.item]);
+        }
+    }
+
+    // Queued entries by item ID (at most one per item)
+    async queuedEntries() {
+        const entries = await this.replica.outbox();
+        return new Map(entries.map(entry => [entry.id, entry]));
+    }
+
+    // Map the local ID of an item created offline to the one it was stored under
+    resolveId(id) {
+        return this.syncedIds.get(id) ?? id;
+    }
+
+    scheduleRetry(delay = RETRY_DELAY_MS) {
+        if (this.retryTimer) return;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.sync({ notify: true });
+        }, delay);
+    }
+
+    async refreshPending() {
+        this.setStatus({ pending: await this.replica.pendingCount() });
+    }
+
+    setStatus(changes) {
+        this.status = { ...this.status, ...changes };
+        this.onStatusChange?.(this.status);
+    }
+
+    // Stop listening for connectivity changes (when the store is replaced, e.g. on sign-out)
+    close() {
+        clearTimeout(this.retryTimer);
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+        this.replica.close();
+    }
+}
+
+// fetch() rejects with a TypeError when a request never reached the server;
+// supabase-js passes the same message on in its error object
+export function isNetworkError(error) {
+    if (!isOnline()) return true;
+    return error instanceof TypeError || /Failed to fetch|NetworkError|Load failed|fetch failed/i.test(error?.message || '');
+}
+
+function isNewer(a, b) {
+    return Boolean(a && b) && new Date(a) > new Date(b);
+}
+
+function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+function newId() {
+    return window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
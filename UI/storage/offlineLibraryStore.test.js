@@ -0,0 +1,243 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { OfflineLibraryStore } from './offlineLibraryStore.js';
+
+// In-memory backend that fails like fetch() while `down`
+function memoryRemote() {
+    const rows = new Map();
+    const calls = [];
+    const remote = {
+        kind: 'supabase',
+        rows,
+        calls,
+        down: false,
+        reach() {
+            if (remote.down) throw new TypeError('Failed to fetch');
+        },
+        async list() {
+            remote.reach();
+            return [...rows.values()];
+        },
+        async get(id) {
+            remote.reach();
+            return rows.get(id) || null;
+        },
+        async create(item) {
+            const [created] = await remote.bulkCreate([item]);
+            return created;
+        },
+        async update(id, changes) {
+            const [updated] = await remote.bulkUpdate([id], changes);
+            return updated;
+        },
+        async remove(id) {
+            await remote.bulkRemove([id]);
+        },
+        async bulkCreate(items) {
+            remote.reach();
+            calls.push(['create', items.length]);
+            return items.map(item => {
+                const row = { ...item, id: crypto.randomUUID(), dateModified: new Date().toISOString() };
+                rows.set(row.id, row);
+                return row;
+            });
+        },
+        async bulkUpdate(ids, changes) {
+            remote.reach();
+            calls.push(['update', ids]);
+            return ids.filter(id => rows.has(id)).map(id => {
+                const row = { ...rows.get(id), ...changes, dateModified: new Date().toISOString() };
+                rows.set(id, row);
+                return row;
+            });
+        },
+        async bulkRemove(ids) {
+            remote.reach();
+            calls.push(['remove', ids]);
+            ids.forEach(id => rows.delete(id));
+        },
+        // A change made on another device
+        editElsewhere(id, changes) {
+            rows.set(id, { ...rows.get(id), ...changes, dateModified: new Date().toISOString() });
+        }
+    };
+    return remote;
+}
+
+describe('OfflineLibraryStore', () => {
+    let online;
+    let remote;
+    let store;
+
+    const goOffline = () => {
+        online = false;
+        remote.down = true;
+    };
+    const goOnline = () => {
+        online = true;
+        remote.down = false;
+    };
+    const later = minutes => vi.setSystemTime(Date.now() + minutes * 60000);
+    const outbox = () => store.replica.outbox();
+
+    beforeEach(() => {
+        vi.useFakeTimers({ toFake: ['Date'], now: new Date('2024-05-01T12:00:00Z') });
+        online = true;
+        vi.stubGlobal('navigator', { get onLine() { return online; } });
+        vi.stubGlobal('window', { crypto: globalThis.crypto, addEventListener() {}, removeEventListener() {} });
+
+        remote = memoryRemote();
+        store = new OfflineLibraryStore(remote, { name: 'library', indexedDB: new IDBFactory() });
+    });
+
+    afterEach(() => {
+        store.close();
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    describe('outbox', () => {
+        it('folds several offline edits of an item into one update', async () => {
+            const item = await store.create({ title: 'Dune', type: 'Book' });
+
+            goOffline();
+            await store.update(item.id, { notes: 'First' });
+            await store.update(item.id, { rating: 4 });
+
+            expect(await outbox()).toMatchObject([{ op: 'update', id: item.id, changes: { notes: 'First', rating: 4 } }]);
+            expect(store.status.pending).toBe(1);
+
+            goOnline();
+            await store.sync();
+            expect(remote.rows.get(item.id)).toMatchObject({ notes: 'First', rating: 4 });
+            expect(store.status.pending).toBe(0);
+        });
+
+        it('folds edits of an item created offline into its create', async () => {
+            goOffline();
+            const item = await store.create({ title: 'Dune', type: 'Book' });
+            await store.update(item.id, { notes: 'Added offline' });
+
+            expect(await outbox()).toMatchObject([{ op: 'create', item: { title: 'Dune', notes: 'Added offline' } }]);
+
+            goOnline();
+            await store.sync();
+            expect([...remote.rows.values()]).toMatchObject([{ title: 'Dune', notes: 'Added offline' }]);
+        });
+
+        it('cancels a create when the item is deleted before it was sent', async () => {
+            goOffline();
+            const item = await store.create({ title: 'Dune', type: 'Book' });
+            await store.remove(item.id);
+
+            expect(await outbox()).toEqual([]);
+
+            goOnline();
+            await store.sync();
+            expect(remote.calls).toEqual([]);
+        });
+
+        it('replaces a queued update with a delete', async () => {
+            const item = await store.create({ title: 'Dune', type: 'Book' });
+
+            goOffline();
+            await store.update(item.id, { notes: 'Soon gone' });
+            await store.remove(item.id);
+
+            expect(await outbox()).toMatchObject([{ op: 'delete', id: item.id }]);
+
+            goOnline();
+            await store.sync();
+            expect(remote.rows.has(item.id)).toBe(false);
+        });
+
+        it('stamps each entry with the time of the latest offline change', async () => {
+            const item = await store.create({ title: 'Dune', type: 'Book' });
+
+            goOffline();
+            later(1);
+            await store.update(item.id, { notes: 'First' });
+            later(1);
+            await store.update(item.id, { rating: 4 });
+
+            const [entry] = await outbox();
+            expect(entry.dateModified).toBe(new Date().toISOString());
+        });
+    });
+
+    describe('replay', () => {
+        let item;
+
+        beforeEach(async () => {
+            item = await store.create({ title: 'Dune', type: 'Book', notes: 'Original' });
+        });
+
+        it('sends an offline edit made after the change elsewhere', async () => {
+            goOffline();
+            later(1);
+            remote.editElsewhere(item.id, { notes: 'Elsewhere' });
+            later(1);
+            await store.update(item.id, { notes: 'Offline' });
+
+            goOnline();
+            await store.sync();
+
+            expect(remote.rows.get(item.id).notes).toBe('Offline');
+            expect(store.status.skipped).toBe(0);
+        });
+
+        it('keeps a change made elsewhere after the offline edit', async () => {
+            goOffline();
+            later(1);
+            await store.update(item.id, { notes: 'Offline' });
+            later(1);
+            remote.editElsewhere(item.id, { notes: 'Elsewhere' });
+
+            goOnline();
+            await store.sync();
+
+            expect(remote.rows.get(item.id).notes).toBe('Elsewhere');
+            expect((await store.get(item.id)).notes).toBe('Elsewhere');
+            expect(store.status).toMatchObject({ pending: 0, skipped: 1 });
+        });
+
+        it('applies the same rule to deletes', async () => {
+            goOffline();
+            later(1);
+            await store.remove(item.id);
+            later(1);
+            remote.editElsewhere(item.id, { notes: 'Elsewhere' });
+
+            goOnline();
+            await store.sync();
+
+            expect(remote.rows.get(item.id).notes).toBe('Elsewhere');
+            expect(store.status.skipped).toBe(1);
+        });
+
+        it('drops changes to items deleted elsewhere', async () => {
+            goOffline();
+            await store.update(item.id, { notes: 'Offline' });
+            remote.rows.delete(item.id);
+
+            goOnline();
+            await store.sync();
+
+            expect(remote.rows.size).toBe(0);
+            expect(store.status).toMatchObject({ pending: 0, skipped: 0 });
+        });
+
+        it('clears the skipped count on the next sync', async () => {
+            goOffline();
+            await store.update(item.id, { notes: 'Offline' });
+            later(1);
+            remote.editElsewhere(item.id, { notes: 'Elsewhere' });
+
+            goOnline();
+            await store.sync();
+            await store.sync();
+
+            expect(store.status.skipped).toBe(0);
+        });
+    });
+});
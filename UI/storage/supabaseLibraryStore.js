@@ -0,0 +1,83 @@
+// Library items in the Supabase `libraries` table, accessed with the signed-in
+// user's session. Row Level Security limits every query to the user's rows;
+// the user_id filter is kept as an extra safety check.
+
+import { toRow, fromRow } from './itemMapper.js';
+
+const TABLE = 'libraries';
+
+export class SupabaseLibraryStore {
+    constructor(supabase, user) {
+        this.kind = 'supabase';
+        this.supabase = supabase;
+        this.user = user;
+    }
+
+    async list() {
+        const { data, error } = await this.supabase
+            .from(TABLE)
+            .select('*')
+            .eq('user_id', this.user.id)
+            .order('date_added', { ascending: false });
+        if (error) throw error;
+        return (data || []).map(fromRow);
+    }
+
+    async get(id) {
+        const { data, error } = await this.supabase
+            .from(TABLE)
+            .select('*')
+            .eq('id', id)
+            .eq('user_id', this.user.id)
+            .maybeSingle();
+        if (error) throw error;
+        return data ? fromRow(data) : null;
+    }
+
+    async create(item) {
+        const [created] = await this.bulkCreate([item]);
+        return created;
+    }
+
+    async update(id, changes) {
+        const [updated] = await this.bulkUpdate([id], changes);
+        if (!updated) {
+            throw new Error('Item not found');
+        }
+        return updated;
+    }
+
+    async remove(id) {
+        await this.bulkRemove([id]);
+    }
+
+    async bulkCreate(items) {
+        const rows = items.map(item => ({ ...toRow(item), user_id: this.user.id }));
+        const { data, error } = await this.supabase
+            .from(TABLE)
+            .insert(rows)
+            .select();
+        if (error) throw error;
+        return data.map(fromRow);
+    }
+
+    async bulkUpdate(ids, changes) {
+        const { data, error } = await this.supabase
+            .from(TABLE)
+            .update({ ...toRow(changes, { partial: true }), date_modified: new Date().toISOString() })
+            .in('id', ids)
+            .eq('user_id', this.user.id)
+            .select();
+        if (error) throw error;
+        return data.map(fromRow);
+    }
+
+    async bulkRemove(ids) {
+        const { error } = await this.supabase
+            .from(TABLE)
+            .delete()
+            .in('id', ids)
+            .eq('user_id', this.user.id);
+        if (error) throw error;
+    }
+}
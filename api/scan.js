@@ -1,12 +1,52 @@
+import config from '../server/config/index.js';
+import { authenticate, requireUser } from '../server/middleware/auth.js';
+import { createRateLimiter } from '../server/middleware/rateLimiter.js';
+import { assignRequestId } from '../server/middleware/requestId.js';
+import { sendError } from '../server/middleware/errorHandler.js';
+import { requestLogger } from '../server/middleware/requestLogger.js';
+import scanPipeline from '../server/services/scanPipeline.js';
+import { AppError, ValidationError } from '../server/utils/errors.js';
+import logger from '../server/utils/logger.js';
+import metrics from '../server/utils/metrics.js';
+import { instrumentAxios } from '../server/utils/upstreamTiming.js';
+
+// Same limits as the Express /api/scan routes. Counters are per function
+// instance, so this caps bursts rather than giving an exact global count.
+// Same check as the Express /api/scan/process route
+const requireScanUser = requireUser();
+
+const scanLimiter = createRateLimiter({
+    name: 'scan',
+    windowMs: config.get('SCAN_RATE_LIMIT_WINDOW_MS'),
+    maxPerIp: config.get('SCAN_RATE_LIMIT_MAX_REQUESTS'),
+    maxPerUser: config.get('SCAN_RATE_LIMIT_MAX_REQUESTS_PER_USER'),
+    dailyQuota: config.get('SCAN_DAILY_QUOTA')
+});
+
+// Functions can't refuse to boot, so a bad config is logged on cold start
+// and the affected features answer 503 instead
+config.validateAtBoot({ exitOnError: false });
+instrumentAxios();
+
 // Vercel API function for processing scanned book covers
 export default async function handler(req, res) {
-    console.log('API function called:', req.method, req.url);
-    
+    assignRequestId(req, res);
+    requestLogger(req, res, () => {});
+    return logger.runWithContext({ requestId: req.id }, () => handleScan(req, res));
+}
+
+/**
+ * Handle one scan request (runs inside the request's logger context)
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ */
+async function handleScan(req, res) {
     // Enable CORS
     res.setHeader('Access-Control-Allow-Credentials', true);
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, X-Request-Id, Accept, Accept-Version, Authorization, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+    res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After');
 
     if (req.method === 'OPTIONS') {
         res.status(200).end();
@@ -14,143 +54,69 @@ export default async function handler(req, res) {
     }
 
     if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+        return sendError(req, res, new AppError('Method not allowed', { status: 405, code: 'method_not_allowed' }));
     }
 
+    // Verified before rate limiting so signed-in callers get per-user limits,
+    // as on the Express /api routes
     try {
-        console.log('Processing scan request...');
-        console.log('GEMINI_API_KEY exists:', !!process.env.GEMINI_API_KEY);
-        
-        const { imageBase64, mimeType } = req.body;
-
-        if (!imageBase64) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'No image data provided' 
-            });
-        }
-
-        // Validate image
-        if (!mimeType || !mimeType.startsWith('image/')) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Invalid image format' 
-            });
-        }
-
-        // Check if Gemini API key is available
-        if (!process.env.GEMINI_API_KEY) {
-            console.error('GEMINI_API_KEY not found in environment variables');
-            return res.status(500).json({
-                success: false,
-                error: 'Gemini API key not configured'
-            });
+        if (!await runMiddleware(authenticate, req, res) ||
+            !await runMiddleware(scanLimiter, req, res) ||
+            !await runMiddleware(requireScanUser, req, res)) {
+            return;
         }
+    } catch (error) {
+        return sendError(req, res, error);
+    }
 
-        // Simple Gemini AI integration
-        const geminiApiKey = process.env.GEMINI_API_KEY;
-        const baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
-
-        const requestBody = {
-            contents: [{
-                parts: [{
-                    text: `Analyze this book cover image and extract the following information in JSON format:
-                    {
-                        "title": "Book Title",
-                        "author": "Author Name",
-                        "isbn": "ISBN if visible",
-                        "publisher": "Publisher if visible",
-                        "year": "Publication year if visible",
-                        "category": "Genre/Category",
-                        "confidence": 0.95
-                    }
-                    
-                    If you cannot clearly identify any field, use null. Be as accurate as possible.`
-                }, {
-                    inline_data: {
-                        mime_type: mimeType,
-                        data: imageBase64
-                    }
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.1,
-                topK: 32,
-                topP: 1,
-                maxOutputTokens: 1024,
-            }
-        };
-
-        console.log('Calling Gemini API...');
-        const response = await fetch(baseUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-goog-api-key': geminiApiKey
-            },
-            body: JSON.stringify(requestBody)
-        });
+    try {
+        const { imageBase64, mimeType, barcode, mode = 'cover' } = req.body;
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Gemini API error:', errorText);
-            throw new Error(`Gemini API error: ${response.status} ${errorText}`);
+        const validation = scanPipeline.validate({ imageBase64, mimeType, barcode, mode });
+        if (!validation.valid) {
+            return sendError(req, res, new ValidationError(validation.error));
         }
 
-        const result = await response.json();
-        console.log('Gemini API response received');
-
-        if (!result.candidates || !result.candidates[0] || !result.candidates[0].content) {
-            throw new Error('Invalid response from Gemini API');
-        }
+        if (mode === 'shelf') {
+            logger.info('Processing shelf scan', { imageBytes: Math.round(imageBase64.length * 3 / 4) });
+            const result = await scanPipeline.processShelf({ imageBase64, mimeType });
+            metrics.recordScan('shelf', 'success');
 
-        const generatedText = result.candidates[0].content.parts[0].text;
-        console.log('Generated text from Gemini:', generatedText);
-        console.log('Generated text length:', generatedText.length);
-
-        // Parse the JSON response
-        let extractedInfo;
-        try {
-            const jsonMatch = generatedText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const jsonStr = jsonMatch[0];
-                extractedInfo = JSON.parse(jsonStr);
-            } else {
-                throw new Error('No JSON found in response');
-            }
-        } catch (parseError) {
-            console.error('Error parsing Gemini response:', parseError);
-            console.error('Raw response that failed to parse:', generatedText);
-            
-            // Try to extract basic info even if JSON parsing fails
-            const titleMatch = generatedText.match(/title[:\s]*["']?([^"',\n]+)["']?/i);
-            const authorMatch = generatedText.match(/author[:\s]*["']?([^"',\n]+)["']?/i);
-            
-            extractedInfo = {
-                title: titleMatch ? titleMatch[1].trim() : "Unknown Book",
-                author: authorMatch ? authorMatch[1].trim() : "Unknown Author",
-                category: "General",
-                confidence: 0.2,
-                source: 'gemini_ai_parsed_fallback',
-                rawResponse: generatedText.substring(0, 200) + '...'
-            };
+            return res.status(200).json({
+                success: true,
+                data: result,
+                message: `Found ${result.bookCount} books on the shelf`
+            });
         }
 
-        console.log('Extracted book info:', extractedInfo);
+        logger.info('Processing scan', { hasImage: Boolean(imageBase64), hasBarcode: Boolean(barcode) });
+        const result = await scanPipeline.process({ imageBase64, mimeType, barcode });
+        metrics.recordScan('cover', 'success');
 
-        // Return the extracted information
         res.status(200).json({
             success: true,
-            data: extractedInfo
+            data: result,
+            message: `Extracted book information and found ${result.matchCount} matching books`
         });
 
     } catch (error) {
-        console.error('Scan process error:', error);
-        console.error('Error stack:', error.stack);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to process scan',
-            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        });
+        metrics.recordScan(req.body?.mode === 'shelf' ? 'shelf' : 'cover', error.code || 'internal_error');
+        // Same envelope as the Express error handler; ScanErrors keep their degraded-mode fields
+        sendError(req, res, error);
     }
 }
+
+/**
+ * Run Express-style middleware that either calls next() or responds itself
+ * (authenticate answers 401, the limiter 429)
+ * @param {Function} middleware - Middleware (req, res, next)
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<boolean>} True if the middleware called next()
+ */
+function runMiddleware(middleware, req, res) {
+    return new Promise((resolve, reject) => {
+        Promise.resolve(middleware(req, res, error => (error ? reject(error) : resolve(true))))
+            .then(() => resolve(false), reject);
+    });
+}
@@ -0,0 +1,266 @@
+/**
+ * Environment configuration
+ *
+ * Every env var the server reads is declared in SCHEMA with its type and
+ * default. `required` marks a var the server can't start without; a var with
+ * a `feature` is only required for that integration, which is disabled
+ * (rather than failing on every request) when the var is missing. `required`
+ * may be a function of the other parsed values for conditional requirements.
+ *
+ * Values are read from process.env when this module is first required, so
+ * entry points must load .env (dotenv) before requiring it.
+ */
+
+const { ServiceUnavailableError } = require('../utils/errors');
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+const SCHEMA = {
+    // Server
+    NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+    PORT: { type: 'integer', default: 3001 },
+    CORS_ORIGIN: { type: 'list' },
+
+    // Logging: LOG_FORMAT defaults to json in production and pretty otherwise
+    LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'] },
+
+    // Bearer token required to scrape /metrics (open when unset)
+    METRICS_TOKEN: { type: 'string' },
+
+    // Google Books
+    GOOGLE_BOOKS_API_KEY: { type: 'string', feature: 'googleBooks', required: true },
+
+    // Paper search
+    PAPER_PROVIDERS: { type: 'string' },
+    SEMANTIC_SCHOLAR_API_KEY: { type: 'string' },
+    CROSSREF_MAILTO: { type: 'string' },
+
+    // Metadata cache
+    CACHE_TTL_MS: { type: 'integer', default: 60 * 60 * 1000 },
+    CACHE_MAX_ENTRIES: { type: 'integer', default: 500 },
+    CACHE_STORE: { type: 'enum', values: ['memory', 'json'], default: 'memory' },
+    CACHE_FILE: { type: 'string' },
+
+    // Vision providers for scanning
+    VISION_PROVIDER: { type: 'enum', values: ['gemini', 'openai', 'local'], default: 'gemini' },
+    GEMINI_API_KEY: {
+        type: 'string',
+        feature: 'vision',
+        required: values => values.VISION_PROVIDER === 'gemini'
+    },
+    GEMINI_MODEL: { type: 'string', default: 'gemini-2.0-flash' },
+    OPENAI_API_KEY: {
+        type: 'string',
+        feature: 'vision',
+        // Self-hosted OpenAI-compatible servers usually don't need a key
+        required: values => values.VISION_PROVIDER === 'openai' && values.OPENAI_BASE_URL === DEFAULT_OPENAI_BASE_URL
+    },
+    OPENAI_BASE_URL: { type: 'url', default: DEFAULT_OPENAI_BASE_URL },
+    OPENAI_VISION_MODEL: { type: 'string', default: 'gpt-4o-mini' },
+    OCR_LANG_PATH: { type: 'string' },
+
+    // Supabase auth: the JWT secret, or SUPABASE_URL / SUPABASE_JWKS_URL for asymmetric keys
+    // The Supabase library store also needs the project URL and anon key to reach PostgREST
+    SUPABASE_URL: { type: 'url', feature: 'library', required: values => values.LIBRARY_STORE === 'supabase' },
+    SUPABASE_ANON_KEY: { type: 'string', feature: 'library', required: values => values.LIBRARY_STORE === 'supabase' },
+    SUPABASE_JWT_SECRET: {
+        type: 'string',
+        feature: 'auth',
+        required: values => !values.SUPABASE_URL && !values.SUPABASE_JWKS_URL
+    },
+    SUPABASE_JWKS_URL: { type: 'url' },
+    SUPABASE_JWT_AUDIENCE: { type: 'string', default: 'authenticated' },
+
+    // Library storage: Supabase, or a local SQLite file for self-hosted setups
+    LIBRARY_STORE: { type: 'enum', values: ['supabase', 'sqlite'], default: 'supabase' },
+    LIBRARY_SQLITE_FILE: { type: 'string' },
+
+    // Rate limiting
+    RATE_LIMIT_WINDOW_MS: { type: 'integer', default: 15 * 60 * 1000 },
+    RATE_LIMIT_MAX_REQUESTS: { type: 'integer', default: 100 },
+    RATE_LIMIT_MAX_REQUESTS_PER_USER: { type: 'integer' },
+    SCAN_RATE_LIMIT_WINDOW_MS: { type: 'integer', default: 60 * 1000 },
+    SCAN_RATE_LIMIT_MAX_REQUESTS: { type: 'integer', default: 10 },
+    SCAN_RATE_LIMIT_MAX_REQUESTS_PER_USER: { type: 'integer', default: 10 },
+    SCAN_DAILY_QUOTA: { type: 'integer', default: 50 }
+};
+
+const FEATURES = {
+    googleBooks: 'Google Books search, ISBN lookup and scan matching',
+    vision: 'Cover and shelf scanning',
+    auth: 'Supabase access token verification',
+    library: 'Library storage API'
+};
+
+/**
+ * Parse one raw env value according to its schema entry
+ * @param {string} raw - Raw value
+ * @param {Object} spec - Schema entry
+ * @returns {Object} { value } or { error }
+ */
+function parseValue(raw, spec) {
+    switch (spec.type) {
+        case 'integer': {
+            if (!/^-?\d+$/.test(raw)) return { error: 'must be an integer' };
+            return { value: parseInt(raw, 10) };
+        }
+        case 'enum': {
+            const value = raw.toLowerCase();
+            if (!spec.values.includes(value)) return { error: `must be one of: ${spec.values.join(', ')}` };
+            return { value };
+        }
+        case 'url': {
+            try {
+                const url = new URL(raw);
+                if (!['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http(s) URL' };
+            } catch (error) {
+                return { error: 'must be a valid URL' };
+            }
+            return { value: raw.replace(/\/$/, '') };
+        }
+        case 'list':
+            return { value: raw.split(',').map(item => item.trim()).filter(Boolean) };
+        default:
+            return { value: raw };
+    }
+}
+
+/**
+ * Load and validate configuration from an environment object
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} { values, errors, features } where features maps name to { enabled, missing }
+ */
+function loadConfig(env = process.env) {
+    const values = {};
+    const errors = [];
+
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        const raw = env[name] === undefined ? '' : String(env[name]).trim();
+        if (raw === '') {
+            values[name] = spec.default === undefined ? null : spec.default;
+            continue;
+        }
+
+        const result = parseValue(raw, spec);
+        if (result.error) {
+            errors.push(`${name} ${result.error}`);
+            values[name] = spec.default === undefined ? null : spec.default;
+        } else {
+            values[name] = result.value;
+        }
+    }
+
+    const features = {};
+    for (const feature of Object.keys(FEATURES)) {
+        features[feature] = { enabled: true, missing: [] };
+    }
+
+    // Required checks run after parsing, since conditions depend on other values
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        const required = typeof spec.required === 'function' ? spec.required(values) : Boolean(spec.required);
+        if (!required || values[name] !== null) continue;
+
+        if (spec.feature) {
+            features[spec.feature].enabled = false;
+            features[spec.feature].missing.push(name);
+        } else {
+            errors.push(`${name} is required`);
+        }
+    }
+
+    return { values, errors, features };
+}
+
+class Config {
+    constructor() {
+        const { values, errors, features } = loadConfig(process.env);
+        this.values = values;
+        this.errors = errors;
+        this.features = features;
+    }
+
+    /**
+     * Get a parsed config value
+     * @param {string} name - Env var name
+     * @returns {*} Parsed value, default, or null
+     */
+    get(name) {
+        if (!(name in SCHEMA)) {
+            throw new Error(`Unknown config key: ${name}`);
+        }
+        return this.values[name];
+    }
+
+    /**
+     * Whether an integration has everything it needs
+     * @param {string} feature - Feature name (googleBooks, vision, auth, library)
+     * @returns {boolean} True if enabled
+     */
+    isEnabled(feature) {
+        return Boolean(this.features[feature] && this.features[feature].enabled);
+    }
+
+    /**
+     * Throw if an integration is disabled
+     * @param {string} feature - Feature name
+     * @throws {ServiceUnavailableError} 503 naming the missing settings
+     */
+    assertEnabled(feature) {
+        if (this.isEnabled(feature)) return;
+
+        const { missing } = this.features[feature];
+        throw new ServiceUnavailableError(
+            `${FEATURES[feature]} is not available: the server is missing ${missing.join(', ')}`,
+            { feature, missing }
+        );
+    }
+
+    /**
+     * Per-integration readiness for /health
+     * @returns {Object} Feature name to { ready, description, missing }
+     */
+    getReadiness() {
+        const readiness = {};
+        for (const [feature, description] of Object.entries(FEATURES)) {
+            readiness[feature] = {
+                ready: this.features[feature].enabled,
+                description,
+                missing: this.features[feature].missing
+            };
+        }
+        readiness.vision.provider = this.values.VISION_PROVIDER;
+        readiness.library.store = this.values.LIBRARY_STORE;
+        return readiness;
+    }
+
+    /**
+     * Log the configuration summary and exit if it is invalid
+     * Called once by the server at boot; serverless functions just log.
+     * @param {Object} options - Options
+     * @param {boolean} options.exitOnError - Exit the process on invalid config (default: true)
+     */
+    validateAtBoot({ exitOnError = true } = {}) {
+        // Required here rather than at the top: the logger itself reads config
+        const logger = require('../utils/logger');
+
+        if (this.errors.length > 0) {
+            logger.error('Invalid configuration', { errors: this.errors });
+            if (exitOnError) {
+                process.exit(1);
+            }
+        }
+
+        for (const [feature, state] of Object.entries(this.features)) {
+            if (!state.enabled) {
+                logger.warn(`${FEATURES[feature]} disabled`, { feature, missing: state.missing });
+            }
+        }
+
+        if (this.values.NODE_ENV === 'production' && !this.values.CORS_ORIGIN) {
+            logger.warn('CORS_ORIGIN is not set - any origin may call the API');
+        }
+    }
+}
+
+module.exports = new Config();
@@ -0,0 +1,150 @@
+const { jwtVerify, createRemoteJWKSet, decodeProtectedHeader } = require('jose');
+const config = require('../config');
+const { AuthenticationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Supabase access token verification
+ *
+ * Tokens are verified with SUPABASE_JWT_SECRET (HS256, the legacy project
+ * secret) or against the project's JWKS (asymmetric signing keys). The JWKS
+ * URL comes from SUPABASE_JWKS_URL, or is derived from SUPABASE_URL.
+ */
+class SupabaseTokenVerifier {
+    constructor() {
+        const secret = config.get('SUPABASE_JWT_SECRET');
+        const supabaseUrl = config.get('SUPABASE_URL');
+
+        this.secret = secret ? new TextEncoder().encode(secret) : null;
+        this.audience = config.get('SUPABASE_JWT_AUDIENCE');
+        this.issuer = supabaseUrl ? `${supabaseUrl}/auth/v1` : undefined;
+
+        const jwksUrl = config.get('SUPABASE_JWKS_URL') ||
+            (supabaseUrl ? `${this.issuer}/.well-known/jwks.json` : null);
+        // jose caches the key set and refetches it when it sees an unknown key id
+        this.jwks = jwksUrl ? createRemoteJWKSet(new URL(jwksUrl)) : null;
+    }
+
+    /**
+     * Whether any verification method is configured
+     * @returns {boolean} True if tokens can be verified
+     */
+    isConfigured() {
+        return Boolean(this.secret || this.jwks);
+    }
+
+    /**
+     * Verify an access token
+     * @param {string} token - JWT from the Authorization header
+     * @returns {Promise<Object>} Verified token payload
+     */
+    async verify(token) {
+        const { alg } = decodeProtectedHeader(token);
+        const options = { audience: this.audience, issuer: this.issuer };
+
+        if (alg === 'HS256') {
+            if (!this.secret) {
+                throw new Error('HS256 tokens require SUPABASE_JWT_SECRET');
+            }
+            const { payload } = await jwtVerify(token, this.secret, { ...options, algorithms: ['HS256'] });
+            return payload;
+        }
+
+        if (!this.jwks) {
+            throw new Error(`${alg} tokens require SUPABASE_URL or SUPABASE_JWKS_URL`);
+        }
+        const { payload } = await jwtVerify(token, this.jwks, { ...options, algorithms: ['RS256', 'ES256'] });
+        return payload;
+    }
+}
+
+const verifier = new SupabaseTokenVerifier();
+
+/**
+ * Send a 401 response with a Bearer challenge
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} message - Error message
+ */
+function sendUnauthorized(req, res, message) {
+    const error = new AuthenticationError(message);
+    res.setHeader('WWW-Authenticate', 'Bearer realm="api"');
+    res.status(error.status).json(error.toResponse(req.id));
+}
+
+/**
+ * Verify the bearer token if one is sent and attach req.user
+ * Requests without a token continue as anonymous (req.user = null);
+ * requests with an invalid token are rejected.
+ */
+const authenticate = async (req, res, next) => {
+    req.user = null;
+
+    const header = req.headers.authorization;
+    if (!header) {
+        return next();
+    }
+
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return sendUnauthorized(req, res, 'Authorization header must use the Bearer scheme');
+    }
+
+    if (!verifier.isConfigured()) {
+        return sendUnauthorized(req, res, 'Authentication is not configured on this server');
+    }
+
+    try {
+        const payload = await verifier.verify(token);
+        req.user = {
+            id: payload.sub,
+            email: payload.email || null,
+            role: payload.role || null,
+            appMetadata: payload.app_metadata || {},
+            accessToken: token
+        };
+        logger.addContext({ userId: req.user.id });
+        next();
+    } catch (error) {
+        logger.warn('Rejected access token', { reason: error.code || error.message });
+        sendUnauthorized(req, res, 'Invalid or expired access token');
+    }
+};
+
+/**
+ * Mark a route as requiring a signed-in user
+ */
+const requireAuth = (req, res, next) => {
+    if (!req.user) {
+        return sendUnauthorized(req, res, 'Authentication required');
+    }
+    next();
+};
+
+// Self-hosted setups without Supabase auth belong to a single local user
+const LOCAL_USER = { id: 'local', email: null, role: null, appMetadata: {}, accessToken: null };
+
+/**
+ * Require a signed-in user, or act as LOCAL_USER when anonymous callers are allowed
+ * @param {Function} allowLocalUser - Returns true if anonymous requests act as the
+ *   local user (default: when auth is not configured)
+ * @returns {Function} Express middleware
+ */
+const requireUser = (allowLocalUser = () => !config.isEnabled('auth')) => (req, res, next) => {
+    if (!req.user && allowLocalUser()) {
+        req.user = LOCAL_USER;
+    }
+    requireAuth(req, res, next);
+};
+
+/**
+ * Mark a route as public (documents intent; anonymous and signed-in callers are both allowed)
+ */
+const publicRoute = (req, res, next) => next();
+
+module.exports = {
+    authenticate,
+    requireAuth,
+    requireUser,
+    publicRoute
+};
@@ -1,12 +1,63 @@
+const { AppError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Convert any thrown value to an AppError
+ * Errors that aren't AppErrors become a generic 500 so their messages
+ * (stack details, upstream URLs) are never sent to the client.
+ * @param {Error} err - Thrown error
+ * @returns {AppError} Error to report
+ */
+function toAppError(err) {
+    if (err instanceof AppError) {
+        return err;
+    }
+
+    // body-parser failures carry a status and type
+    if (err && err.type === 'entity.parse.failed') {
+        return new ValidationError('Request body is not valid JSON');
+    }
+    if (err && err.type === 'entity.too.large') {
+        return new AppError('Request body is too large', { status: 413, code: 'payload_too_large' });
+    }
+
+    return new AppError('Internal Server Error');
+}
+
+/**
+ * Send an error as the JSON error envelope
+ * Shared by the Express error middleware and the Vercel functions.
+ * @param {Object} req - Request (req.id is included when set)
+ * @param {Object} res - Response
+ * @param {Error} err - Thrown error
+ */
+function sendError(req, res, err) {
+    const error = toAppError(err);
+
+    const fields = { requestId: req.id, method: req.method, url: req.originalUrl || req.url, code: error.code };
+    if (error.status >= 500) {
+        logger.error(error.message, { ...fields, error: err });
+    } else {
+        logger.warn(error.message, fields);
+    }
+
+    if (error.retryAfter) {
+        res.setHeader('Retry-After', error.retryAfter);
+    }
+    res.status(error.status).json(error.toResponse(req.id));
+}
+
+/**
+ * Express error middleware
+ */
 const errorHandler = (err, req, res, next) => {
-    console.error('Error:', err);
-    let error = {
-        message: err.message || 'Internal Server Error',
-        status: err.status || 500
-    };
-    res.status(error.status).json({
-        success: false,
-        error: error.message
-    });
+    if (res.headersSent) {
+        return next(err);
+    }
+    sendError(req, res, err);
+};
+
+module.exports = {
+    errorHandler,
+    sendError
 };
-module.exports = errorHandler;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const config = require('../config');
+
+/**
+ * Reject requests with 503 when an integration is disabled by missing configuration
+ * @param {string} feature - Feature name from config (e.g. 'googleBooks')
+ * @returns {Function} Express middleware
+ */
+const requireFeature = (feature) => (req, res, next) => {
+    try {
+        config.assertEnabled(feature);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    requireFeature
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+const { AuthenticationError } = require('../utils/errors');
+
+/**
+ * Route label for a finished request
+ * Uses the matched route pattern (e.g. /api/books/isbn/:isbn) so IDs in
+ * paths don't create a label per value.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} mountPath - Mount path of the matched route, or the deepest
+ *   mount path the request reached
+ * @returns {string} Route label
+ */
+function routeLabel(req, res, mountPath) {
+    if (req.route) {
+        const segments = [...mountPath.split('/'), ...req.route.path.split('/')].filter(Boolean);
+        return `/${segments.join('/')}`;
+    }
+    // Unknown paths share one label; requests rejected by mounted middleware
+    // (rate limiter, auth, disabled features) are labelled with the mount path,
+    // e.g. /api/scan
+    if (res.statusCode === 404 || !mountPath) {
+        return 'unmatched';
+    }
+    return mountPath;
+}
+
+/**
+ * Remember the mount path while the request is inside mounted middleware
+ * Express resets req.baseUrl on the way out of a router, before the response
+ * is sent (or as soon as a route passes an error to next()), so it is
+ * recorded every time Express sets it, and kept as it was when a route matched.
+ * @param {Object} req - Request
+ * @returns {Function} Returns the matched route's req.baseUrl, or the last
+ *   non-empty one when no route matched
+ */
+function trackMountPath(req) {
+    let baseUrl = req.baseUrl;
+    let route = req.route;
+    let mountPath = baseUrl || '';
+    let routeMountPath = '';
+    Object.defineProperty(req, 'baseUrl', {
+        configurable: true,
+        enumerable: true,
+        get: () => baseUrl,
+        set: value => {
+            baseUrl = value;
+            if (value) mountPath = value;
+        }
+    });
+    Object.defineProperty(req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => route,
+        set: value => {
+            route = value;
+            routeMountPath = baseUrl || '';
+        }
+    });
+    return () => (route ? routeMountPath : mountPath);
+}
+
+/**
+ * Count requests and observe their latency once the response is sent
+ */
+const collectRequestMetrics = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    const mountPath = trackMountPath(req);
+
+    res.on('finish', () => {
+        metrics.observeRequest({
+            method: req.method,
+            route: routeLabel(req, res, mountPath()),
+            status: res.statusCode,
+            durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9
+        });
+    });
+
+    next();
+};
+
+/**
+ * GET /metrics in the Prometheus text format
+ * When METRICS_TOKEN is set, scrapers must send it as a bearer token.
+ */
+const metricsEndpoint = async (req, res, next) => {
+    try {
+        const token = config.get('METRICS_TOKEN');
+        if (token) {
+            const expected = Buffer.from(`Bearer ${token}`);
+            const received = Buffer.from(req.headers.authorization || '');
+            if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+                throw new AuthenticationError('A valid metrics token is required');
+            }
+        }
+
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.render());
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    collectRequestMetrics,
+    metricsEndpoint
+};
@@ -0,0 +1,93 @@
+const http = require('http');
+const express = require('express');
+const metrics = require('../utils/metrics');
+const { collectRequestMetrics } = require('./metrics');
+
+/**
+ * App with the same shape as server.js: app-level routes, routers mounted
+ * behind middleware, and a pathless 404 handler
+ * @returns {Object} Express app
+ */
+function createApp() {
+    const app = express();
+    app.use(collectRequestMetrics);
+
+    app.get('/health', (req, res) => res.json({ ok: true }));
+
+    const scholar = express.Router();
+    scholar.get('/doi/*', (req, res) => res.json({ doi: req.params[0] }));
+    scholar.get('/paper/:id', (req, res, next) => next(new Error('upstream failed')));
+    app.use('/api/scholar', scholar);
+
+    const scan = express.Router();
+    scan.post('/process', (req, res) => res.json({ ok: true }));
+    app.use('/api/scan', (req, res) => res.status(429).json({ error: 'Too many requests' }), scan);
+
+    app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+    app.use((error, req, res, next) => res.status(502).json({ error: error.message }));
+    return app;
+}
+
+describe('collectRequestMetrics', () => {
+    let server;
+    let port;
+    let observed;
+
+    beforeAll(done => {
+        server = createApp().listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        observed = [];
+        jest.spyOn(metrics, 'observeRequest').mockImplementation(request => observed.push(request));
+    });
+
+    afterEach(() => {
+        metrics.observeRequest.mockRestore();
+    });
+
+    /**
+     * Send a request and return the route label it was counted under
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @returns {Promise<string>} Route label
+     */
+    function labelFor(method, path) {
+        return new Promise((resolve, reject) => {
+            const req = http.request({ port, path, method }, res => {
+                res.resume();
+                res.on('end', () => setImmediate(() => resolve(observed.at(-1).route)));
+            });
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    it('labels app-level routes without a double slash', async () => {
+        expect(await labelFor('GET', '/health')).toBe('/health');
+    });
+
+    it('labels wildcard routes with the pattern, whatever the path', async () => {
+        expect(await labelFor('GET', '/api/scholar/doi/10.1002/x/y')).toBe('/api/scholar/doi/*');
+        expect(await labelFor('GET', '/api/scholar/doi/10.1038/nature14539')).toBe('/api/scholar/doi/*');
+    });
+
+    it('keeps the mount path when a route passes an error on', async () => {
+        expect(await labelFor('GET', '/api/scholar/paper/123')).toBe('/api/scholar/paper/:id');
+    });
+
+    it('labels requests rejected by mounted middleware with the mount path', async () => {
+        expect(await labelFor('POST', '/api/scan/process')).toBe('/api/scan');
+    });
+
+    it('labels unknown paths as unmatched', async () => {
+        expect(await labelFor('GET', '/api/unknown/123')).toBe('unmatched');
+    });
+});
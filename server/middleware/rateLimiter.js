@@ -0,0 +1,202 @@
+/**
+ * Sliding-window rate limiting and daily quotas
+ *
+ * Counters live in a pluggable store. A store implements:
+ *   consume(key, { windowMs, limit }) -> Promise<{ allowed, count, remaining, resetMs }>
+ *     for sliding windows, and
+ *   increment(key, { expiresAt, limit }) -> Promise<{ allowed, count, remaining, resetMs }>
+ *     for fixed counters that are dropped at expiresAt (daily quotas),
+ * where a hit is only recorded when it is allowed, so rejected requests
+ * don't extend the time a client stays blocked.
+ */
+
+const { RateLimitError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Default store: sliding log of request timestamps per key, and fixed
+ * counters, kept in memory
+ */
+class MemoryStore {
+    constructor() {
+        this.hits = new Map();
+        this.counters = new Map();
+
+        // Periodically drop keys whose windows have fully elapsed
+        this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    async consume(key, { windowMs, limit }) {
+        const now = Date.now();
+        const entry = this.hits.get(key) || { windowMs, timestamps: [] };
+        entry.windowMs = windowMs;
+        entry.timestamps = entry.timestamps.filter(time => time > now - windowMs);
+
+        const allowed = entry.timestamps.length < limit;
+        if (allowed) {
+            entry.timestamps.push(now);
+        }
+        this.hits.set(key, entry);
+
+        const oldest = entry.timestamps[0] || now;
+        return {
+            allowed,
+            count: entry.timestamps.length,
+            remaining: Math.max(0, limit - entry.timestamps.length),
+            resetMs: Math.max(0, oldest + windowMs - now)
+        };
+    }
+
+    async increment(key, { expiresAt, limit }) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+        if (!counter || counter.expiresAt <= now) {
+            counter = { count: 0, expiresAt };
+            this.counters.set(key, counter);
+        }
+
+        const allowed = counter.count < limit;
+        if (allowed) {
+            counter.count++;
+        }
+
+        return {
+            allowed,
+            count: counter.count,
+            remaining: Math.max(0, limit - counter.count),
+            resetMs: Math.max(0, counter.expiresAt - now)
+        };
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.hits) {
+            if (entry.timestamps.every(time => time <= now - entry.windowMs)) {
+                this.hits.delete(key);
+            }
+        }
+        for (const [key, counter] of this.counters) {
+            if (counter.expiresAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+const defaultStore = new MemoryStore();
+
+/**
+ * Get the client IP address
+ * Works for Express (req.ip) and for Vercel functions, which only expose headers.
+ * @param {Object} req - Request
+ * @returns {string} Client IP
+ */
+function getClientIp(req) {
+    if (req.ip) return req.ip;
+
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (forwardedFor) {
+        return forwardedFor.split(',')[0].trim();
+    }
+    return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Next UTC midnight, when daily quotas reset
+ * @param {Date} now - Current time
+ * @returns {number} Timestamp in milliseconds
+ */
+function nextUtcMidnight(now = new Date()) {
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Namespace for counters (e.g. 'scan', 'books')
+ * @param {number} options.windowMs - Sliding window length (default: 1 minute)
+ * @param {number} options.maxPerIp - Requests per window per IP
+ * @param {number} options.maxPerUser - Requests per window per authenticated user (default: maxPerIp)
+ * @param {number} options.dailyQuota - Requests per UTC day per user (or IP when anonymous); 0 disables
+ * @param {Object} options.store - Counter store (default: shared in-memory store)
+ * @returns {Function} Middleware (req, res, next)
+ */
+function createRateLimiter(options = {}) {
+    const {
+        name = 'api',
+        windowMs = 60 * 1000,
+        maxPerIp = 60,
+        maxPerUser = maxPerIp,
+        dailyQuota = 0,
+        store = defaultStore
+    } = options;
+
+    return async function rateLimiter(req, res, next) {
+        let tightest = null;
+
+        try {
+            const ip = getClientIp(req);
+            const userId = req.user?.id;
+
+            const checks = [
+                { key: `${name}:ip:${ip}`, scope: 'ip', windowMs, limit: maxPerIp, reason: 'Too many requests, please slow down' }
+            ];
+            if (userId) {
+                checks.push({ key: `${name}:user:${userId}`, scope: 'user', windowMs, limit: maxPerUser, reason: 'Too many requests, please slow down' });
+            }
+            if (dailyQuota > 0) {
+                // One counter per UTC day; a sliding window would forget
+                // the morning's requests as the time left until midnight shrinks
+                const now = new Date();
+                const day = now.toISOString().slice(0, 10);
+                const subject = userId ? `user:${userId}` : `ip:${ip}`;
+                checks.push({ key: `${name}:daily:${subject}:${day}`, scope: 'daily', expiresAt: nextUtcMidnight(now), limit: dailyQuota, reason: 'Daily quota exceeded' });
+            }
+
+            // Stop at the first exhausted limit so the remaining windows
+            // aren't charged for a rejected request
+            for (const check of checks) {
+                const result = check.expiresAt
+                    ? await store.increment(check.key, { expiresAt: check.expiresAt, limit: check.limit })
+                    : await store.consume(check.key, { windowMs: check.windowMs, limit: check.limit });
+                const current = { ...check, ...result };
+
+                if (!tightest || current.remaining < tightest.remaining) {
+                    tightest = current;
+                }
+
+                if (!result.allowed) {
+                    tightest = current;
+                    break;
+                }
+            }
+
+        } catch (error) {
+            // Never block traffic because the counter store is unavailable
+            logger.error('Rate limiter error', { limiter: name, error });
+            return next();
+        }
+
+        res.setHeader('X-RateLimit-Limit', tightest.limit);
+        res.setHeader('X-RateLimit-Remaining', tightest.remaining);
+        res.setHeader('X-RateLimit-Reset', Math.ceil((Date.now() + tightest.resetMs) / 1000));
+
+        if (!tightest.allowed) {
+            const retryAfter = Math.max(1, Math.ceil(tightest.resetMs / 1000));
+            res.setHeader('Retry-After', retryAfter);
+            metrics.recordRateLimitRejection(name, tightest.scope);
+            const error = new RateLimitError(tightest.reason, retryAfter);
+            return res.status(error.status).json(error.toResponse(req.id));
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    createRateLimiter,
+    MemoryStore,
+    getClientIp
+};
@@ -0,0 +1,163 @@
+const { createRateLimiter, MemoryStore } = require('./rateLimiter');
+const logger = require('../utils/logger');
+
+/**
+ * Run the limiter for one request and report what it did
+ * @param {Function} limiter - Middleware from createRateLimiter
+ * @param {Object} options - { ip, user }
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+async function hit(limiter, { ip = '203.0.113.7', user } = {}) {
+    const req = { ip, user, headers: {} };
+    const res = {
+        statusCode: 200,
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+
+    await limiter(req, res, () => {});
+    return { status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+describe('MemoryStore', () => {
+    let store;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T12:00:00Z') });
+        store = new MemoryStore();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('consume', () => {
+        it('allows up to the limit within the window', async () => {
+            const results = [];
+            for (let i = 0; i < 3; i++) {
+                results.push(await store.consume('k', { windowMs: 60000, limit: 2 }));
+            }
+
+            expect(results.map(result => result.allowed)).toEqual([true, true, false]);
+            expect(results[2]).toMatchObject({ count: 2, remaining: 0, resetMs: 60000 });
+        });
+
+        it('frees a slot once the oldest hit leaves the window', async () => {
+            await store.consume('k', { windowMs: 60000, limit: 2 });
+            jest.advanceTimersByTime(30000);
+            await store.consume('k', { windowMs: 60000, limit: 2 });
+
+            jest.advanceTimersByTime(30001);
+            expect(await store.consume('k', { windowMs: 60000, limit: 2 })).toMatchObject({ allowed: true, count: 2 });
+        });
+
+        it('does not record rejected hits', async () => {
+            await store.consume('k', { windowMs: 60000, limit: 1 });
+            jest.advanceTimersByTime(59000);
+            await store.consume('k', { windowMs: 60000, limit: 1 });
+
+            jest.advanceTimersByTime(1001);
+            expect((await store.consume('k', { windowMs: 60000, limit: 1 })).allowed).toBe(true);
+        });
+    });
+
+    describe('increment', () => {
+        const expiresAt = Date.parse('2024-05-02T00:00:00Z');
+
+        it('counts up to the limit until the counter expires', async () => {
+            await store.increment('k', { expiresAt, limit: 2 });
+            await store.increment('k', { expiresAt, limit: 2 });
+
+            jest.setSystemTime(new Date('2024-05-01T23:59:59Z'));
+            expect(await store.increment('k', { expiresAt, limit: 2 })).toEqual({
+                allowed: false,
+                count: 2,
+                remaining: 0,
+                resetMs: 1000
+            });
+
+            jest.setSystemTime(new Date(expiresAt));
+            expect(await store.increment('k', { expiresAt: expiresAt + 86400000, limit: 2 })).toMatchObject({ allowed: true, count: 1 });
+        });
+
+        it('drops expired counters on cleanup', async () => {
+            await store.increment('k', { expiresAt, limit: 2 });
+
+            jest.setSystemTime(new Date(expiresAt));
+            store.cleanup();
+            expect(store.counters.size).toBe(0);
+        });
+    });
+});
+
+describe('createRateLimiter', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('rejects requests over the per-IP limit with 429 and Retry-After', async () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T12:00:00Z') });
+        const limiter = createRateLimiter({ name: 'test', windowMs: 60000, maxPerIp: 2, store: new MemoryStore() });
+
+        await hit(limiter);
+        const allowed = await hit(limiter);
+        const rejected = await hit(limiter);
+
+        expect(allowed.headers).toMatchObject({ 'X-RateLimit-Limit': 2, 'X-RateLimit-Remaining': 0 });
+        expect(rejected.status).toBe(429);
+        expect(rejected.headers['Retry-After']).toBe(60);
+        expect(rejected.body.error).toBe('Too many requests, please slow down');
+        expect((await hit(limiter, { ip: '198.51.100.1' })).status).toBe(200);
+    });
+
+    it('keeps the daily quota exhausted for the rest of the UTC day', async () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T01:00:00Z') });
+        const limiter = createRateLimiter({ name: 'test', windowMs: 1000, maxPerIp: 100, dailyQuota: 3, store: new MemoryStore() });
+        const user = { id: 'user-1' };
+
+        for (let i = 0; i < 3; i++) {
+            expect((await hit(limiter, { user })).status).toBe(200);
+        }
+        const rejected = await hit(limiter, { user });
+        expect(rejected.status).toBe(429);
+        expect(rejected.body.error).toBe('Daily quota exceeded');
+        expect(rejected.headers['Retry-After']).toBe(23 * 3600);
+
+        jest.setSystemTime(new Date('2024-05-01T14:00:00Z'));
+        expect((await hit(limiter, { user })).status).toBe(429);
+
+        jest.setSystemTime(new Date('2024-05-02T00:00:01Z'));
+        expect((await hit(limiter, { user })).status).toBe(200);
+    });
+
+    it('counts the daily quota per user rather than per IP', async () => {
+        jest.useFakeTimers({ now: new Date('2024-05-01T09:00:00Z') });
+        const limiter = createRateLimiter({ name: 'test', maxPerIp: 100, dailyQuota: 1, store: new MemoryStore() });
+
+        expect((await hit(limiter, { user: { id: 'a' } })).status).toBe(200);
+        expect((await hit(limiter, { user: { id: 'b' } })).status).toBe(200);
+        expect((await hit(limiter, { user: { id: 'a' } })).status).toBe(429);
+    });
+
+    it('lets requests through when the store fails', async () => {
+        const store = { consume: () => Promise.reject(new Error('store down')) };
+        const limiter = createRateLimiter({ name: 'test', store });
+        const next = jest.fn();
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+        await limiter({ ip: '203.0.113.7', headers: {} }, { setHeader: jest.fn() }, next);
+        expect(next).toHaveBeenCalled();
+        expect(logger.error).toHaveBeenCalledWith('Rate limiter error', expect.objectContaining({ limiter: 'test' }));
+        logger.error.mockRestore();
+    });
+});
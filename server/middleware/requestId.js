@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Accept caller-supplied IDs (e.g. from a proxy) only if they are short and plain
+const VALID_REQUEST_ID = /^[\w.-]{1,64}$/;
+
+/**
+ * Give every request an ID and echo it in the X-Request-Id response header
+ * An incoming X-Request-Id is reused so logs can be matched across services.
+ * @param {Object} req - Request (req.id is set)
+ * @param {Object} res - Response
+ * @returns {string} Request ID
+ */
+function assignRequestId(req, res) {
+    const incoming = req.headers['x-request-id'];
+    req.id = typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    return req.id;
+}
+
+/**
+ * Express middleware for assignRequestId
+ * The rest of the request runs with the ID in the logger context.
+ */
+const requestId = (req, res, next) => {
+    assignRequestId(req, res);
+    logger.runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = {
+    assignRequestId,
+    requestId
+};
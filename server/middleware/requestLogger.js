@@ -0,0 +1,36 @@
+const logger = require('../utils/logger');
+
+/**
+ * Log one structured entry per request when the response has been sent
+ * Needs req.id from the requestId middleware.
+ */
+const requestLogger = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const fields = {
+            requestId: req.id,
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+            ip: req.ip,
+            userId: req.user ? req.user.id : null,
+            contentLength: res.getHeader('Content-Length') || null
+        };
+
+        if (res.statusCode >= 500) {
+            logger.error('request', fields);
+        } else if (res.statusCode >= 400) {
+            logger.warn('request', fields);
+        } else {
+            logger.info('request', fields);
+        }
+    });
+
+    next();
+};
+
+module.exports = {
+    requestLogger
+};
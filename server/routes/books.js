@@ -1,27 +1,112 @@
 const express = require('express');
 const router = express.Router();
+const { publicRoute } = require('../middleware/auth');
+const googleBooksService = require('../services/googleBooksService');
+const cacheService = require('../services/cacheService');
+const { parseISBN } = require('../utils/isbn');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 
-router.get('/search', async (req, res) => {
+const ORDER_BY_VALUES = ['relevance', 'newest'];
+const PRINT_TYPE_VALUES = ['all', 'books', 'magazines'];
+
+router.get('/search', publicRoute, async (req, res, next) => {
     try {
-        const { q: query, maxResults = 10 } = req.query;
+        const {
+            q,
+            intitle,
+            inauthor,
+            subject,
+            maxResults = 10,
+            startIndex = 0,
+            orderBy,
+            langRestrict,
+            printType = 'books'
+        } = req.query;
+
+        const query = googleBooksService.buildQuery({ q, intitle, inauthor, subject });
         if (!query) {
-            return res.status(400).json({ success: false, error: 'Query required' });
+            throw new ValidationError('Query required');
+        }
+
+        const parsedMaxResults = parseInt(maxResults, 10);
+        if (isNaN(parsedMaxResults) || parsedMaxResults < 1 || parsedMaxResults > 40) {
+            throw new ValidationError('maxResults must be between 1 and 40');
+        }
+
+        const parsedStartIndex = parseInt(startIndex, 10);
+        if (isNaN(parsedStartIndex) || parsedStartIndex < 0) {
+            throw new ValidationError('startIndex must be a non-negative integer');
+        }
+
+        if (orderBy && !ORDER_BY_VALUES.includes(orderBy)) {
+            throw new ValidationError(`orderBy must be one of: ${ORDER_BY_VALUES.join(', ')}`);
+        }
+
+        if (!PRINT_TYPE_VALUES.includes(printType)) {
+            throw new ValidationError(`printType must be one of: ${PRINT_TYPE_VALUES.join(', ')}`);
         }
-        
-        // Mock response for testing
+
+        if (langRestrict && !/^[a-z]{2}$/i.test(langRestrict)) {
+            throw new ValidationError('langRestrict must be a two-letter language code');
+        }
+
+        const options = {
+            maxResults: parsedMaxResults,
+            startIndex: parsedStartIndex,
+            orderBy,
+            langRestrict: langRestrict ? langRestrict.toLowerCase() : undefined,
+            printType
+        };
+        const { value, hit } = await cacheService.wrap(
+            cacheService.queryKey('books', query, options),
+            () => googleBooksService.searchVolumes(query, options)
+        );
+        const { items, totalItems } = value;
+
+        res.set('X-Cache', hit ? 'HIT' : 'MISS');
+        res.json({
+            success: true,
+            data: items,
+            count: items.length,
+            totalItems,
+            startIndex: parsedStartIndex,
+            maxResults: parsedMaxResults,
+            query
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/isbn/:isbn', publicRoute, async (req, res, next) => {
+    try {
+        const parsed = parseISBN(req.params.isbn);
+        if (!parsed.valid) {
+            throw new ValidationError(parsed.error, { isbn: req.params.isbn });
+        }
+
+        const { value: book, hit } = await cacheService.wrap(
+            cacheService.isbnKey(parsed.isbn13),
+            () => googleBooksService.getBookByISBN(parsed.isbn13)
+        );
+
+        res.set('X-Cache', hit ? 'HIT' : 'MISS');
+        if (!book) {
+            throw new NotFoundError(`No book found for ISBN ${parsed.isbn13}`, {
+                isbn10: parsed.isbn10,
+                isbn13: parsed.isbn13
+            });
+        }
+
         res.json({
             success: true,
-            data: [{
-                title: `Search results for: ${query}`,
-                author: 'Test Author',
-                type: 'book',
-                source: 'google_books'
-            }],
-            count: 1
+            data: book,
+            isbn10: parsed.isbn10,
+            isbn13: parsed.isbn13
         });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        next(error);
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
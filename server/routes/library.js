@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const { requireUser } = require('../middleware/auth');
+const libraryService = require('../services/libraryService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const BULK_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Validate a list of item IDs from a request body
+ * @param {Array} ids - Item IDs
+ * @returns {Array} Lower-cased IDs
+ * @throws {ValidationError} If the list is empty, too long or holds an invalid ID
+ */
+function parseIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        throw new ValidationError('ids must be a non-empty array');
+    }
+    if (ids.length > libraryService.maxBulkItems) {
+        throw new ValidationError(`At most ${libraryService.maxBulkItems} items per request`);
+    }
+    const invalid = ids.filter(id => typeof id !== 'string' || !UUID.test(id));
+    if (invalid.length > 0) {
+        throw new ValidationError('ids must be item UUIDs', { ids: invalid });
+    }
+    // Supabase returns IDs in lower case
+    return ids.map(id => id.toLowerCase());
+}
+
+// Every library route acts on the caller's own items; self-hosted SQLite
+// libraries without Supabase auth belong to a single local user
+router.use(requireUser(() => libraryService.allowsLocalUser()));
+
+router.param('id', (req, res, next, id) => {
+    next(UUID.test(id) ? undefined : new ValidationError('Item ID must be a UUID', { id }));
+});
+
+router.get('/', async (req, res, next) => {
+    try {
+        const { limit = 20, offset = 0, sort = 'dateAdded', order = 'desc', q } = req.query;
+
+        const parsedLimit = parseInt(limit, 10);
+        if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > libraryService.maxPageSize) {
+            throw new ValidationError(`limit must be between 1 and ${libraryService.maxPageSize}`);
+        }
+
+        const parsedOffset = parseInt(offset, 10);
+        if (isNaN(parsedOffset) || parsedOffset < 0) {
+            throw new ValidationError('offset must be a non-negative integer');
+        }
+
+        if (!libraryService.sortFields.includes(sort)) {
+            throw new ValidationError(`sort must be one of: ${libraryService.sortFields.join(', ')}`);
+        }
+
+        if (!['asc', 'desc'].includes(order)) {
+            throw new ValidationError('order must be asc or desc');
+        }
+
+        const filters = {};
+        for (const field of libraryService.filterFields) {
+            if (req.query[field]) filters[field] = String(req.query[field]);
+        }
+
+        const { items, total } = await libraryService.list(req.user, {
+            limit: parsedLimit,
+            offset: parsedOffset,
+            sort,
+            order,
+            filters,
+            q
+        });
+
+        res.json({
+            success: true,
+            data: items,
+            count: items.length,
+            total,
+            limit: parsedLimit,
+            offset: parsedOffset
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/:id', async (req, res, next) => {
+    try {
+        const item = await libraryService.get(req.user, req.params.id);
+        res.json({ success: true, data: item });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.post('/', async (req, res, next) => {
+    try {
+        const item = libraryService.validateItem(req.body);
+        const [created] = await libraryService.create(req.user, [item]);
+        res.status(201).json({ success: true, data: created });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.patch('/:id', async (req, res, next) => {
+    try {
+        const changes = libraryService.validateItem(req.body, { partial: true });
+        const [updated] = await libraryService.update(req.user, [req.params.id], changes);
+        if (!updated) {
+            throw new NotFoundError('Library item not found', { id: req.params.id });
+        }
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const [deletedId] = await libraryService.remove(req.user, [req.params.id]);
+        if (!deletedId) {
+            throw new NotFoundError('Library item not found', { id: req.params.id });
+        }
+        res.json({ success: true, data: { id: deletedId } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Bulk operations:
+//   { action: 'create', items: [...] }
+//   { action: 'update', ids: [...], changes: {...} }  (same changes for every item)
+//   { action: 'delete', ids: [...] }
+router.post('/bulk', async (req, res, next) => {
+    try {
+        const { action, items, ids, changes } = req.body;
+        if (!BULK_ACTIONS.includes(action)) {
+            throw new ValidationError(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+        }
+
+        if (action === 'create') {
+            if (!Array.isArray(items) || items.length === 0) {
+                throw new ValidationError('items must be a non-empty array');
+            }
+            if (items.length > libraryService.maxBulkItems) {
+                throw new ValidationError(`At most ${libraryService.maxBulkItems} items per request`);
+            }
+            const validItems = items.map((item, index) => {
+                try {
+                    return libraryService.validateItem(item);
+                } catch (error) {
+                    error.details = { ...error.details, index };
+                    throw error;
+                }
+            });
+
+            const created = await libraryService.create(req.user, validItems);
+            return res.status(201).json({ success: true, data: created, count: created.length });
+        }
+
+        const parsedIds = parseIds(ids);
+
+        if (action === 'update') {
+            const validChanges = libraryService.validateItem(changes, { partial: true });
+            const updated = await libraryService.update(req.user, parsedIds, validChanges);
+            const found = new Set(updated.map(item => item.id));
+            return res.json({
+                success: true,
+                data: updated,
+                count: updated.length,
+                notFound: parsedIds.filter(id => !found.has(id))
+            });
+        }
+
+        const deleted = await libraryService.remove(req.user, parsedIds);
+        res.json({
+            success: true,
+            data: deleted.map(id => ({ id })),
+            count: deleted.length,
+            notFound: parsedIds.filter(id => !deleted.includes(id))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,92 +1,48 @@
 const express = require('express');
 const router = express.Router();
-const geminiService = require('../services/geminiService');
-const googleBooksService = require('../services/googleBooksService');
-
-router.post('/process', async (req, res) => {
+const { requireUser } = require('../middleware/auth');
+const scanPipeline = require('../services/scanPipeline');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Signed-in users only, unless auth isn't configured (local development)
+router.post('/process', requireUser(), async (req, res, next) => {
     try {
-        const { imageBase64, mimeType } = req.body;
-        
-        if (!imageBase64) {
-            return res.status(400).json({
-                success: false,
-                error: 'Image data is required'
-            });
-        }
+        const { imageBase64, mimeType, barcode, mode = 'cover' } = req.body;
 
-        console.log('Processing scan request...');
-        console.log('Image size:', imageBase64.length, 'characters');
-        console.log('MIME type:', mimeType);
-
-        // Validate image
-        const validation = geminiService.validateImage(imageBase64, mimeType);
+        const validation = scanPipeline.validate({ imageBase64, mimeType, barcode, mode });
         if (!validation.valid) {
-            return res.status(400).json({
-                success: false,
-                error: validation.error
-            });
+            throw new ValidationError(validation.error);
         }
 
-        // Extract book information using Gemini AI
-        console.log('Calling Gemini AI for image analysis...');
-        let extractedInfo = null;
-        
-        try {
-            const geminiResult = await geminiService.extractBookInfo(imageBase64, mimeType);
-            
-            if (geminiResult.success) {
-                extractedInfo = geminiResult.data;
-                console.log('Extracted book info from Gemini:', extractedInfo);
-            } else {
-                throw new Error('Gemini AI failed to process image');
-            }
-        } catch (error) {
-            console.error('Gemini AI failed:', error.message);
-            console.log('Falling back to mock data for demonstration...');
-            
-            // Fallback to mock data if Gemini fails
-            extractedInfo = {
-                title: "Book Cover Detected",
-                author: "Unknown Author",
-                year: new Date().getFullYear(),
-                publisher: "Unknown Publisher",
-                description: "Book information could not be extracted from the image. Please try again or enter details manually.",
-                confidence: 0,
-                source: 'fallback'
-            };
-        }
+        if (mode === 'shelf') {
+            logger.info('Processing shelf scan', { imageBytes: Math.round(imageBase64.length * 3 / 4) });
+            const result = await scanPipeline.processShelf({ imageBase64, mimeType });
+            metrics.recordScan('shelf', 'success');
 
-        // Search for matching books using Google Books API
-        let searchResults = [];
-        if (extractedInfo.title) {
-            try {
-                console.log('Searching Google Books for:', extractedInfo.title);
-                const googleBooksResults = await googleBooksService.searchBooks(extractedInfo.title);
-                searchResults = googleBooksResults.slice(0, 5); // Limit to 5 results
-                console.log('Found', searchResults.length, 'Google Books results');
-            } catch (error) {
-                console.error('Google Books search failed:', error);
-                // Continue without search results
-            }
+            return res.json({
+                success: true,
+                data: result,
+                message: `Found ${result.bookCount} books on the shelf`
+            });
         }
 
+        logger.info('Processing scan', { hasImage: Boolean(imageBase64), hasBarcode: Boolean(barcode) });
+        const result = await scanPipeline.process({ imageBase64, mimeType, barcode });
+        metrics.recordScan('cover', 'success');
+
         res.json({
             success: true,
-            data: {
-                extractedInfo: extractedInfo,
-                searchResults: searchResults,
-                searchCount: searchResults.length
-            },
-            message: `Extracted book information and found ${searchResults.length} matching books`
+            data: result,
+            message: `Extracted book information and found ${result.matchCount} matching books`
         });
 
     } catch (error) {
-        console.error('Scan process error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to process scan'
-        });
+        metrics.recordScan(req.body?.mode === 'shelf' ? 'shelf' : 'cover', error.code || 'internal_error');
+        // Degraded-mode ScanErrors keep their code, retryable flag and partial fields
+        next(error);
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
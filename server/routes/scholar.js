@@ -1,26 +1,83 @@
 const express = require('express');
 const router = express.Router();
+const { publicRoute } = require('../middleware/auth');
+const paperSearchService = require('../services/paperSearchService');
+const crossrefService = require('../services/crossrefService');
+const googleScholarService = require('../services/googleScholarService');
+const cacheService = require('../services/cacheService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 
-router.get('/search', async (req, res) => {
+router.get('/search', publicRoute, async (req, res, next) => {
     try {
-        const { q: query, maxResults = 10 } = req.query;
+        const { q: query, maxResults = 10, providers } = req.query;
         if (!query) {
-            return res.status(400).json({ success: false, error: 'Query required' });
+            throw new ValidationError('Query required');
         }
-        
+
+        const parsedMaxResults = parseInt(maxResults, 10);
+        if (isNaN(parsedMaxResults) || parsedMaxResults < 1 || parsedMaxResults > 50) {
+            throw new ValidationError('maxResults must be between 1 and 50');
+        }
+
+        // Optional per-request override of the configured provider chain
+        let chain;
+        if (providers) {
+            chain = providers.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+            const unknown = chain.filter(name => !paperSearchService.providers[name]);
+            if (unknown.length > 0) {
+                throw new ValidationError(`Unknown providers: ${unknown.join(', ')}`, { providers: unknown });
+            }
+        }
+
+        const { value: result, hit } = await cacheService.wrap(
+            cacheService.queryKey('papers', query, {
+                maxResults: parsedMaxResults,
+                providers: (chain || paperSearchService.chain).join(',')
+            }),
+            () => paperSearchService.searchPapers(query, parsedMaxResults, chain),
+            // Results missing a failed provider's papers are retried on the next request
+            { shouldCache: result => result.providers.every(attempt => attempt.success) }
+        );
+
+        res.set('X-Cache', hit ? 'HIT' : 'MISS');
         res.json({
             success: true,
-            data: [{
-                title: `Academic paper: ${query}`,
-                author: 'Research Author',
-                type: 'paper',
-                source: 'google_scholar'
-            }],
-            count: 1
+            data: result.papers,
+            count: result.papers.length,
+            query,
+            provider: result.provider,
+            providers: result.providers
         });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        next(error);
+    }
+});
+
+// DOIs contain slashes, so match everything after /doi/
+router.get('/doi/*', publicRoute, async (req, res, next) => {
+    try {
+        const doi = req.params[0];
+        if (!doi || !/^(https?:\/\/(dx\.)?doi\.org\/|doi:)?10\.\d{4,9}\/\S+$/i.test(doi)) {
+            throw new ValidationError('A valid DOI is required (e.g. 10.1000/xyz123)');
+        }
+
+        const { value: paper, hit } = await cacheService.wrap(
+            cacheService.doiKey(doi),
+            async () => {
+                const rawPaper = await crossrefService.getPaperByDOI(doi);
+                return rawPaper ? googleScholarService.formatPaperData(rawPaper) : null;
+            }
+        );
+
+        res.set('X-Cache', hit ? 'HIT' : 'MISS');
+        if (!paper) {
+            throw new NotFoundError(`No paper found for DOI ${doi}`, { doi });
+        }
+
+        res.json({ success: true, data: paper, doi });
+    } catch (error) {
+        next(error);
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,55 +1,107 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 require('dotenv').config();
 
+// Validate the environment before anything reads it
+const config = require('./config');
+config.validateAtBoot();
+
+const paperSearchService = require('./services/paperSearchService');
 const bookRoutes = require('./routes/books');
 const scholarRoutes = require('./routes/scholar');
 const scanRoutes = require('./routes/scan');
-const errorHandler = require('./middleware/errorHandler');
+const libraryRoutes = require('./routes/library');
+const { errorHandler } = require('./middleware/errorHandler');
+const { requestId } = require('./middleware/requestId');
+const { requestLogger } = require('./middleware/requestLogger');
+const { collectRequestMetrics, metricsEndpoint } = require('./middleware/metrics');
+const logger = require('./utils/logger');
+const { instrumentAxios } = require('./utils/upstreamTiming');
+const { createRateLimiter } = require('./middleware/rateLimiter');
+const { authenticate } = require('./middleware/auth');
+const { requireFeature } = require('./middleware/features');
+const { NotFoundError } = require('./utils/errors');
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.get('PORT');
+
+// Request IDs first, so every response (including errors) carries X-Request-Id
+// and every log entry for the request is tagged with it
+app.use(requestId);
+app.use(requestLogger);
+app.use(collectRequestMetrics);
+
+// Log timing for calls to Gemini, Google Books, Scholar providers, ...
+instrumentAxios();
 
 // Security middleware
 app.use(helmet());
 
-// CORS configuration - Allow ALL origins for development
+// CORS configuration - restrict to CORS_ORIGIN (comma-separated) when set.
+// Auth uses bearer tokens, so credentials are only needed for known origins.
+const corsOrigins = config.get('CORS_ORIGIN');
 app.use(cors({
-    origin: true, // Allow all origins
-    credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    origin: corsOrigins || true, // Reflect any origin when unrestricted (development)
+    credentials: Boolean(corsOrigins),
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'X-Cache', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After']
 }));
 
-// Logging middleware
-app.use(morgan('combined'));
+// Rate limiting - search endpoints share one budget, scans get a stricter one plus a daily quota
+const apiLimiter = createRateLimiter({
+    name: 'api',
+    windowMs: config.get('RATE_LIMIT_WINDOW_MS'),
+    maxPerIp: config.get('RATE_LIMIT_MAX_REQUESTS'),
+    maxPerUser: config.get('RATE_LIMIT_MAX_REQUESTS_PER_USER') || config.get('RATE_LIMIT_MAX_REQUESTS')
+});
+const scanLimiter = createRateLimiter({
+    name: 'scan',
+    windowMs: config.get('SCAN_RATE_LIMIT_WINDOW_MS'),
+    maxPerIp: config.get('SCAN_RATE_LIMIT_MAX_REQUESTS'),
+    maxPerUser: config.get('SCAN_RATE_LIMIT_MAX_REQUESTS_PER_USER'),
+    dailyQuota: config.get('SCAN_DAILY_QUOTA')
+});
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Health check endpoint
+// Health check endpoint - reports which integrations are configured.
+// Still 200 when degraded: the server is up, some features are just off.
 app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
+    const integrations = {
+        ...config.getReadiness(),
+        paperSearch: { ready: true, providers: paperSearchService.chain }
+    };
+    const allReady = Object.values(integrations).every(integration => integration.ready);
+
+    res.json({
+        status: allReady ? 'OK' : 'DEGRADED',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        integrations
     });
 });
 
+// Prometheus metrics - protected by METRICS_TOKEN when set
+app.get('/metrics', metricsEndpoint);
+
+// Authentication - verifies Supabase access tokens and sets req.user.
+// Runs before rate limiting so signed-in callers get per-user limits.
+app.use('/api', authenticate);
+
 // API routes
-app.use('/api/books', bookRoutes);
-app.use('/api/scholar', scholarRoutes);
-app.use('/api/scan', scanRoutes);
-
-// 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({ 
-        error: 'Endpoint not found',
-        path: req.originalUrl 
-    });
+app.use('/api/books', apiLimiter, requireFeature('googleBooks'), bookRoutes);
+app.use('/api/scholar', apiLimiter, scholarRoutes);
+app.use('/api/scan', scanLimiter, scanRoutes);
+app.use('/api/library', apiLimiter, requireFeature('library'), libraryRoutes);
+
+// 404 handler - mounted without a path so it doesn't overwrite req.baseUrl,
+// which the request metrics use to label requests rejected by mounted middleware
+app.use((req, res, next) => {
+    next(new NotFoundError('Endpoint not found', { path: req.originalUrl }));
 });
 
 // Error handling middleware
@@ -57,9 +109,7 @@ app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`📚 eInformation Hub API ready`);
-    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info('eInformation Hub API ready', { port: PORT, environment: config.get('NODE_ENV') });
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,89 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { UpstreamError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class ArxivService {
+    constructor() {
+        this.queryUrl = 'https://export.arxiv.org/api/query';
+    }
+
+    /**
+     * Search for preprints using the arXiv API
+     * @param {string} query - Search query
+     * @param {number} maxResults - Maximum number of results (default: 10)
+     * @returns {Promise<Array>} Array of raw paper objects
+     */
+    async searchPapers(query, maxResults = 10) {
+        try {
+            const response = await axios.get(this.queryUrl, {
+                params: {
+                    search_query: `all:${query}`,
+                    start: 0,
+                    max_results: Math.min(maxResults, 100)
+                },
+                timeout: 15000
+            });
+
+            return this.parseFeed(response.data);
+        } catch (error) {
+            const upstreamError = UpstreamError.fromAxios(error, 'arXiv', 'search arXiv');
+            logger.error('arXiv API error', { error: upstreamError });
+            throw upstreamError;
+        }
+    }
+
+    /**
+     * Parse the Atom feed returned by the arXiv API
+     * @param {string} xml - Atom feed XML
+     * @returns {Array} Array of raw paper objects
+     */
+    parseFeed(xml) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const papers = [];
+
+        $('entry').each((index, element) => {
+            const $entry = $(element);
+            const title = this.cleanText($entry.find('title').first().text());
+            if (!title) return;
+
+            const authors = $entry.find('author > name')
+                .map((i, name) => $(name).text().trim())
+                .get()
+                .join(', ') || 'Unknown Authors';
+            const published = $entry.find('published').first().text();
+            const yearMatch = published.match(/^(\d{4})/);
+            const absLink = $entry.find('id').first().text().trim();
+            const pdfLink = $entry.find('link[title="pdf"]').attr('href') || null;
+            const doi = $entry.find('arxiv\\:doi').first().text().trim() || null;
+
+            papers.push({
+                id: `arxiv_${absLink.split('/abs/').pop()}`,
+                title,
+                authors,
+                author: authors,
+                year: yearMatch ? parseInt(yearMatch[1]) : null,
+                snippet: this.cleanText($entry.find('summary').first().text()),
+                citedBy: 0, // arXiv does not report citation counts
+                link: absLink || null,
+                pdfLink,
+                doi,
+                venue: 'arXiv',
+                source: 'arxiv'
+            });
+        });
+
+        return papers;
+    }
+
+    /**
+     * Collapse the hard line breaks arXiv uses inside titles and abstracts
+     * @param {string} text - Raw text
+     * @returns {string} Cleaned text
+     */
+    cleanText(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+module.exports = new ArxivService();
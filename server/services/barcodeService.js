@@ -0,0 +1,194 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const {
+    MultiFormatReader,
+    RGBLuminanceSource,
+    HybridBinarizer,
+    BinaryBitmap,
+    DecodeHintType,
+    BarcodeFormat
+} = require('@zxing/library');
+const logger = require('../utils/logger');
+const { parseISBN } = require('../utils/isbn');
+
+const SUPPORTED_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+// A decode that takes longer than this is given up (and its worker restarted)
+const DECODE_TIMEOUT_MS = 10000;
+
+class BarcodeService {
+    constructor() {
+        this.reader = new MultiFormatReader();
+        const hints = new Map();
+        // Books carry an EAN-13 "Bookland" barcode (978/979 prefix)
+        hints.set(DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.EAN_13]);
+        hints.set(DecodeHintType.TRY_HARDER, true);
+        this.reader.setHints(hints);
+
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 0;
+    }
+
+    /**
+     * Detect an ISBN barcode in an image
+     * Decoding a full-size photo takes long enough to stall every other
+     * request, so it runs on a worker thread.
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type (JPEG and PNG are supported)
+     * @returns {Promise<Object|null>} { isbn10, isbn13 } or null if no ISBN barcode was found
+     */
+    async detectISBN(imageBase64, mimeType) {
+        if (!SUPPORTED_TYPES.includes(mimeType)) return null;
+
+        const text = await this.decodeInWorker(imageBase64, mimeType);
+        if (!text) return null;
+
+        const parsed = parseISBN(text);
+        return parsed.valid ? { isbn10: parsed.isbn10, isbn13: parsed.isbn13 } : null;
+    }
+
+    /**
+     * Run decode() on the worker thread
+     * Resolves to null when the worker fails or the decode times out, so a
+     * scan falls back to the vision provider instead of failing.
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type
+     * @returns {Promise<string|null>} Decoded barcode text or null
+     */
+    decodeInWorker(imageBase64, mimeType) {
+        const worker = this.getWorker();
+        const id = ++this.nextId;
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                logger.warn('Barcode decode timed out', { timeoutMs: DECODE_TIMEOUT_MS });
+                // Settles this and any queued decodes through the exit handler
+                worker.terminate();
+            }, DECODE_TIMEOUT_MS);
+
+            this.pending.set(id, text => {
+                clearTimeout(timer);
+                resolve(text);
+            });
+            // Only keep the process alive while a decode is outstanding
+            worker.ref();
+            worker.postMessage({ id, imageBase64, mimeType });
+        });
+    }
+
+    /**
+     * Get the decode worker, starting it on first use
+     * @returns {Worker} Worker running barcodeWorker.js
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        const worker = new Worker(path.join(__dirname, 'barcodeWorker.js'));
+        worker.on('message', ({ id, text }) => this.settle(id, text));
+        worker.on('error', error => {
+            logger.warn('Barcode worker failed', { reason: error.message });
+        });
+        worker.on('exit', () => {
+            if (this.worker === worker) this.worker = null;
+            for (const id of [...this.pending.keys()]) this.settle(id, null);
+        });
+        worker.unref();
+
+        this.worker = worker;
+        return worker;
+    }
+
+    /**
+     * Resolve a pending decode
+     * @param {number} id - Decode request ID
+     * @param {string|null} text - Decoded barcode text
+     */
+    settle(id, text) {
+        const done = this.pending.get(id);
+        if (!done) return;
+
+        this.pending.delete(id);
+        if (this.pending.size === 0 && this.worker) this.worker.unref();
+        done(text);
+    }
+
+    /**
+     * Decode the first EAN-13 barcode in an image
+     * Tries the image as captured and rotated by 90 degrees, since books are
+     * often photographed sideways. Blocks the calling thread, use
+     * detectISBN() from request handlers.
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type
+     * @returns {string|null} Decoded barcode text or null
+     */
+    decode(imageBase64, mimeType) {
+        let image;
+        try {
+            image = this.toGrayscale(imageBase64, mimeType);
+        } catch (error) {
+            logger.warn('Barcode decode skipped, image could not be read', { reason: error.message });
+            return null;
+        }
+        if (!image) return null;
+
+        for (const candidate of [image, this.rotate(image)]) {
+            try {
+                const source = new RGBLuminanceSource(candidate.pixels, candidate.width, candidate.height);
+                const bitmap = new BinaryBitmap(new HybridBinarizer(source));
+                return this.reader.decode(bitmap).getText();
+            } catch (error) {
+                // NotFoundException - no barcode in this orientation
+            } finally {
+                this.reader.reset();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Decode an image into 8-bit grayscale pixels
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type
+     * @returns {Object|null} { pixels: Uint8ClampedArray, width, height } or null if unsupported
+     */
+    toGrayscale(imageBase64, mimeType) {
+        const buffer = Buffer.from(imageBase64, 'base64');
+        let decoded;
+
+        if (mimeType === 'image/jpeg' || mimeType === 'image/jpg') {
+            decoded = jpeg.decode(buffer, { useTArray: true, maxMemoryUsageInMB: 256 });
+        } else if (mimeType === 'image/png') {
+            decoded = PNG.sync.read(buffer);
+        } else {
+            return null;
+        }
+
+        const { width, height, data } = decoded;
+        const pixels = new Uint8ClampedArray(width * height);
+        for (let i = 0; i < pixels.length; i++) {
+            const offset = i * 4;
+            // ITU-R BT.601 luma
+            pixels[i] = (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) / 1000;
+        }
+        return { pixels, width, height };
+    }
+
+    /**
+     * Rotate a grayscale image by 90 degrees clockwise
+     * @param {Object} image - { pixels, width, height }
+     * @returns {Object} Rotated image
+     */
+    rotate({ pixels, width, height }) {
+        const rotated = new Uint8ClampedArray(pixels.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                rotated[x * height + (height - 1 - y)] = pixels[y * width + x];
+            }
+        }
+        return { pixels: rotated, width: height, height: width };
+    }
+}
+
+module.exports = new BarcodeService();
@@ -0,0 +1,7 @@
+const { parentPort } = require('worker_threads');
+const barcodeService = require('./barcodeService');
+
+// Runs BarcodeService.decode off the main thread (see BarcodeService.decodeInWorker)
+parentPort.on('message', ({ id, imageBase64, mimeType }) => {
+    parentPort.postMessage({ id, text: barcodeService.decode(imageBase64, mimeType) });
+});
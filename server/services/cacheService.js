@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+/**
+ * Persists cache entries to a JSON file so lookups survive restarts
+ */
+class JsonFileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Load persisted entries
+     * @returns {Array} Array of [key, entry] pairs, oldest first
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return [];
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return Array.isArray(data.entries) ? data.entries : [];
+        } catch (error) {
+            logger.error('Failed to load metadata cache file', { file: this.filePath, error });
+            return [];
+        }
+    }
+
+    /**
+     * Schedule a write of all entries (debounced to avoid a write per request)
+     * @param {Function} getEntries - Returns the current [key, entry] pairs
+     */
+    save(getEntries) {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            try {
+                fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+                fs.writeFileSync(this.filePath, JSON.stringify({ entries: getEntries() }));
+            } catch (error) {
+                logger.error('Failed to write metadata cache file', { file: this.filePath, error });
+            }
+        }, 1000);
+        // Don't keep the process alive just to flush the cache
+        this.saveTimer.unref();
+    }
+}
+
+/**
+ * In-memory LRU cache with per-entry TTL for book and paper metadata
+ */
+class CacheService {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || config.get('CACHE_TTL_MS'); // 1 hour by default
+        this.maxEntries = options.maxEntries || config.get('CACHE_MAX_ENTRIES');
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+
+        const storeType = options.store || config.get('CACHE_STORE');
+        this.store = storeType === 'json'
+            ? new JsonFileStore(options.filePath || config.get('CACHE_FILE') || path.join(__dirname, '..', '.cache', 'metadata-cache.json'))
+            : null;
+
+        if (this.store) {
+            for (const [key, entry] of this.store.load()) {
+                if (entry.expiresAt > Date.now()) {
+                    this.entries.set(key, entry);
+                }
+            }
+            this.evict();
+        }
+    }
+
+    /**
+     * Build a cache key for a free-text search
+     * @param {string} namespace - e.g. 'books' or 'papers'
+     * @param {string} query - Search query
+     * @param {Object} options - Search options that change the result set
+     * @returns {string} Cache key
+     */
+    queryKey(namespace, query, options = {}) {
+        const normalizedQuery = (query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        const normalizedOptions = Object.keys(options)
+            .filter(key => options[key] !== undefined && options[key] !== null)
+            .sort()
+            .map(key => `${key}=${options[key]}`)
+            .join('&');
+        return `${namespace}:query:${normalizedQuery}|${normalizedOptions}`;
+    }
+
+    /**
+     * Build a cache key for an ISBN lookup
+     * @param {string} isbn13 - Normalized ISBN-13
+     * @returns {string} Cache key
+     */
+    isbnKey(isbn13) {
+        return `books:isbn:${isbn13}`;
+    }
+
+    /**
+     * Build a cache key for a DOI lookup
+     * @param {string} doi - DOI (case-insensitive, optionally prefixed with https://doi.org/ or doi:)
+     * @returns {string} Cache key
+     */
+    doiKey(doi) {
+        const bareDoi = doi.trim().toLowerCase().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/, '');
+        return `papers:doi:${bareDoi}`;
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {*} Cached value or undefined on miss/expiry
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            this.persist();
+            return undefined;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache (must be JSON-serializable for the json store)
+     * @param {number} ttlMs - Optional TTL override
+     */
+    set(key, value, ttlMs = this.ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        this.evict();
+        this.persist();
+    }
+
+    /**
+     * Return a cached value or compute and cache it
+     * Null and undefined results are not cached so missing items are retried.
+     * @param {string} key - Cache key
+     * @param {Function} fetcher - Async function producing the value on a miss
+     * @param {Object} options
+     * @param {Function} options.shouldCache - Returns false for fetched values that
+     *   shouldn't be cached, e.g. incomplete results (default: cache every value)
+     * @returns {Promise<Object>} { value, hit }
+     */
+    async wrap(key, fetcher, { shouldCache = () => true } = {}) {
+        // Keys start with their namespace, e.g. books:isbn:...
+        const namespace = key.split(':')[0];
+
+        const cached = this.get(key);
+        if (cached !== undefined) {
+            this.hits++;
+            metrics.recordCacheLookup(namespace, true);
+            return { value: cached, hit: true };
+        }
+
+        this.misses++;
+        metrics.recordCacheLookup(namespace, false);
+        const value = await fetcher();
+        if (value !== null && value !== undefined && shouldCache(value)) {
+            this.set(key, value);
+        }
+        return { value, hit: false };
+    }
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+        this.entries.clear();
+        this.persist();
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Size and hit/miss counters
+     */
+    stats() {
+        return {
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+
+    /**
+     * Drop least recently used entries beyond the size bound
+     */
+    evict() {
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+    }
+
+    /**
+     * Write entries to the on-disk store, if one is configured
+     */
+    persist() {
+        if (this.store) {
+            this.store.save(() => [...this.entries.entries()]);
+        }
+    }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,113 @@
+const axios = require('axios');
+const config = require('../config');
+const { UpstreamError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class CrossrefService {
+    constructor() {
+        this.mailto = config.get('CROSSREF_MAILTO');
+        this.worksUrl = 'https://api.crossref.org/works';
+    }
+
+    /**
+     * Search for academic works using the Crossref REST API
+     * @param {string} query - Search query
+     * @param {number} maxResults - Maximum number of results (default: 10)
+     * @returns {Promise<Array>} Array of raw paper objects
+     */
+    async searchPapers(query, maxResults = 10) {
+        try {
+            const params = {
+                'query.bibliographic': query,
+                rows: Math.min(maxResults, 100),
+                select: 'DOI,title,author,issued,abstract,is-referenced-by-count,container-title,URL,link,type'
+            };
+            // Identifying ourselves puts requests in Crossref's "polite" pool
+            if (this.mailto) {
+                params.mailto = this.mailto;
+            }
+
+            const response = await axios.get(this.worksUrl, {
+                params,
+                headers: { 'Accept': 'application/json' },
+                timeout: 15000
+            });
+
+            const items = response.data.message?.items || [];
+            return items
+                .filter(item => item.title && item.title.length > 0)
+                .map(item => this.toRawPaper(item));
+        } catch (error) {
+            const upstreamError = UpstreamError.fromAxios(error, 'Crossref', 'search Crossref');
+            logger.error('Crossref API error', { error: upstreamError });
+            throw upstreamError;
+        }
+    }
+
+    /**
+     * Get a single work by DOI
+     * @param {string} doi - DOI, with or without a https://doi.org/ prefix
+     * @returns {Promise<Object|null>} Raw paper object or null if not found
+     */
+    async getPaperByDOI(doi) {
+        try {
+            const bareDoi = doi.trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/i, '');
+            const params = this.mailto ? { mailto: this.mailto } : {};
+
+            const response = await axios.get(`${this.worksUrl}/${encodeURIComponent(bareDoi)}`, {
+                params,
+                headers: { 'Accept': 'application/json' },
+                timeout: 15000
+            });
+
+            const item = response.data.message;
+            return item && item.title && item.title.length > 0 ? this.toRawPaper(item) : null;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            const upstreamError = UpstreamError.fromAxios(error, 'Crossref', 'fetch DOI from Crossref');
+            logger.error('Crossref DOI lookup error', { error: upstreamError });
+            throw upstreamError;
+        }
+    }
+
+    /**
+     * Convert a Crossref work to the raw shape formatPaperData expects
+     * @param {Object} item - Crossref work item
+     * @returns {Object} Raw paper object
+     */
+    toRawPaper(item) {
+        const authors = item.author
+            ? item.author.map(a => [a.given, a.family].filter(Boolean).join(' ') || a.name).filter(Boolean).join(', ')
+            : 'Unknown Authors';
+        const pdf = (item.link || []).find(link => link['content-type'] === 'application/pdf');
+
+        return {
+            id: `crossref_${item.DOI}`,
+            title: item.title[0],
+            authors,
+            author: authors,
+            year: item.issued?.['date-parts']?.[0]?.[0] || null,
+            snippet: this.stripJats(item.abstract),
+            citedBy: item['is-referenced-by-count'] || 0,
+            link: item.URL || (item.DOI ? `https://doi.org/${item.DOI}` : null),
+            pdfLink: pdf ? pdf.URL : null,
+            doi: item.DOI || null,
+            venue: item['container-title']?.[0] || null,
+            source: 'crossref'
+        };
+    }
+
+    /**
+     * Strip JATS XML tags that Crossref embeds in abstracts
+     * @param {string} abstract - Abstract with JATS markup
+     * @returns {string} Plain text abstract
+     */
+    stripJats(abstract) {
+        if (!abstract) return '';
+        return abstract.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+}
+
+module.exports = new CrossrefService();
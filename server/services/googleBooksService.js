@@ -1,8 +1,12 @@
 const axios = require('axios');
+const config = require('../config');
+const { parseISBN, normalizeISBN } = require('../utils/isbn');
+const { ServiceUnavailableError, UpstreamError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
 class GoogleBooksService {
     constructor() {
-        this.apiKey = process.env.GOOGLE_BOOKS_API_KEY;
+        this.apiKey = config.get('GOOGLE_BOOKS_API_KEY');
         this.baseUrl = 'https://www.googleapis.com/books/v1/volumes';
     }
 
@@ -13,44 +17,114 @@ class GoogleBooksService {
      * @returns {Promise<Array>} Array of book objects
      */
     async searchBooks(query, maxResults = 10) {
+        const result = await this.searchVolumes(query, { maxResults });
+        return result.items;
+    }
+
+    /**
+     * Search for books with paging and filter options
+     * @param {string} query - Search query (may contain intitle:, inauthor:, subject: operators)
+     * @param {Object} options - Search options
+     * @param {number} options.maxResults - Maximum number of results (default: 10, max: 40)
+     * @param {number} options.startIndex - Index of the first result to return (default: 0)
+     * @param {string} options.orderBy - 'relevance' or 'newest'
+     * @param {string} options.langRestrict - Two-letter ISO-639-1 language code
+     * @param {string} options.printType - 'all', 'books' or 'magazines' (default: 'books')
+     * @returns {Promise<Object>} Object with formatted items and totalItems
+     */
+    async searchVolumes(query, options = {}) {
+        if (!this.apiKey) {
+            throw new ServiceUnavailableError('Google Books API key not configured');
+        }
+
         try {
-            if (!this.apiKey) {
-                throw new Error('Google Books API key not configured');
-            }
+            const {
+                maxResults = 10,
+                startIndex = 0,
+                orderBy,
+                langRestrict,
+                printType = 'books'
+            } = options;
 
             const params = {
                 q: query,
                 maxResults: Math.min(maxResults, 40), // Google Books API limit
+                startIndex,
                 key: this.apiKey,
-                printType: 'books'
+                printType
             };
 
+            if (orderBy) params.orderBy = orderBy;
+            if (langRestrict) params.langRestrict = langRestrict;
+
             const response = await axios.get(this.baseUrl, { params });
-            
-            if (!response.data.items) {
-                return [];
-            }
 
-            return response.data.items.map(item => this.formatBookData(item));
+            return {
+                items: (response.data.items || []).map(item => this.formatBookData(item)),
+                totalItems: response.data.totalItems || 0
+            };
         } catch (error) {
-            console.error('Google Books API Error:', error.message);
-            throw new Error(`Failed to search books: ${error.message}`);
+            const upstreamError = UpstreamError.fromAxios(error, 'Google Books', 'search books');
+            logger.error('Google Books API error', { error: upstreamError });
+            throw upstreamError;
         }
     }
 
+    /**
+     * Build a Google Books query from free text and field-scoped terms
+     * @param {Object} fields - Query fields
+     * @param {string} fields.q - Free-text query
+     * @param {string} fields.intitle - Restrict to words in the title
+     * @param {string} fields.inauthor - Restrict to words in the author
+     * @param {string} fields.subject - Restrict to a subject/category
+     * @returns {string} Combined query string
+     */
+    buildQuery({ q, intitle, inauthor, subject } = {}) {
+        const parts = [];
+
+        if (q && q.trim()) parts.push(q.trim());
+        if (intitle && intitle.trim()) parts.push(`intitle:${this.quoteTerm(intitle)}`);
+        if (inauthor && inauthor.trim()) parts.push(`inauthor:${this.quoteTerm(inauthor)}`);
+        if (subject && subject.trim()) parts.push(`subject:${this.quoteTerm(subject)}`);
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Quote a multi-word term so the whole phrase stays scoped to its field
+     * @param {string} term - Term to quote
+     * @returns {string} Quoted term
+     */
+    quoteTerm(term) {
+        const trimmed = term.trim().replace(/"/g, '');
+        return /\s/.test(trimmed) ? `"${trimmed}"` : trimmed;
+    }
+
     /**
      * Get book details by ISBN
-     * @param {string} isbn - ISBN of the book
+     * Looks up the ISBN-13 form first and falls back to the ISBN-10 form,
+     * since Google Books does not always index both.
+     * @param {string} isbn - ISBN-10 or ISBN-13, hyphenated or bare
      * @returns {Promise<Object|null>} Book object or null if not found
      */
     async getBookByISBN(isbn) {
         try {
-            const query = `isbn:${isbn}`;
-            const results = await this.searchBooks(query, 1);
-            return results.length > 0 ? results[0] : null;
+            const parsed = parseISBN(isbn);
+            const candidates = parsed.valid
+                ? [parsed.isbn13, parsed.isbn10].filter(Boolean)
+                : [normalizeISBN(isbn)];
+
+            for (const candidate of candidates) {
+                const results = await this.searchBooks(`isbn:${candidate}`, 1);
+                if (results.length > 0) {
+                    return results[0];
+                }
+            }
+            return null;
         } catch (error) {
-            console.error('Error fetching book by ISBN:', error.message);
-            throw new Error(`Failed to fetch book by ISBN: ${error.message}`);
+            const upstreamError = UpstreamError.fromAxios(error, 'Google Books', 'fetch book by ISBN');
+            logger.error('Error fetching book by ISBN', { isbn, error: upstreamError });
+            throw upstreamError;
         }
     }
 
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const puppeteer = require('puppeteer');
+const { UpstreamError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
 class GoogleScholarService {
     constructor() {
@@ -83,7 +85,7 @@ class GoogleScholarService {
                             });
                         }
                     } catch (error) {
-                        console.error('Error parsing item:', error);
+                        logger.warn('Error parsing Google Scholar result', { error });
                     }
                 });
 
@@ -94,14 +96,14 @@ class GoogleScholarService {
 
             return papers.slice(0, maxResults);
         } catch (error) {
-            console.error('Google Scholar scraping error:', error.message);
+            logger.warn('Google Scholar scraping failed, trying plain HTTP', { error });
             
             // Fallback to simple HTTP request (less reliable)
             try {
                 return await this.fallbackSearch(query, maxResults);
             } catch (fallbackError) {
-                console.error('Fallback search also failed:', fallbackError.message);
-                throw new Error(`Failed to search Google Scholar: ${error.message}`);
+                logger.error('Google Scholar fallback search also failed', { error: fallbackError });
+                throw UpstreamError.fromAxios(fallbackError, 'Google Scholar', 'search Google Scholar');
             }
         }
     }
@@ -174,14 +176,15 @@ class GoogleScholarService {
                         });
                     }
                 } catch (error) {
-                    console.error('Error parsing element:', error);
+                    logger.warn('Error parsing Google Scholar result', { error });
                 }
             });
 
             return papers;
         } catch (error) {
-            console.error('Fallback search error:', error.message);
-            throw new Error(`Fallback search failed: ${error.message}`);
+            const upstreamError = UpstreamError.fromAxios(error, 'Google Scholar', 'search Google Scholar');
+            logger.error('Google Scholar fallback search error', { error: upstreamError });
+            throw upstreamError;
         }
     }
 
@@ -192,7 +195,7 @@ class GoogleScholarService {
      */
     formatPaperData(paper) {
         return {
-            id: `scholar_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: paper.id || `scholar_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             title: paper.title,
             authors: paper.authors,
             author: paper.author,
@@ -202,9 +205,11 @@ class GoogleScholarService {
             citedBy: paper.citedBy,
             link: paper.link,
             pdfLink: paper.pdfLink,
+            doi: paper.doi || null,
+            venue: paper.venue || null,
             type: 'paper',
             category: 'Research',
-            source: 'google_scholar',
+            source: paper.source || 'google_scholar',
             searchableText: this.createSearchableText(paper)
         };
     }
@@ -253,7 +258,7 @@ class GoogleScholarService {
                 doi
             };
         } catch (error) {
-            console.error('Error fetching paper details:', error.message);
+            logger.warn('Error fetching paper details', { error });
             return null;
         }
     }
@@ -0,0 +1,302 @@
+const config = require('../config');
+const supabaseLibraryStore = require('./supabaseLibraryStore');
+const sqliteLibraryStore = require('./sqliteLibraryStore');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Item fields and the `libraries` columns they are stored in
+const COLUMNS = {
+    id: 'id',
+    title: 'title',
+    author: 'author',
+    type: 'type',
+    category: 'category',
+    publishingYear: 'publishing_year',
+    year: 'year',
+    status: 'status',
+    pages: 'pages',
+    difficulty: 'difficulty',
+    language: 'language',
+    url: 'url',
+    coverUrl: 'cover_url',
+    rating: 'rating',
+    summary: 'summary',
+    notes: 'notes',
+    isbn: 'isbn',
+    doi: 'doi',
+    venue: 'venue',
+    citedBy: 'cited_by',
+    pdfUrl: 'pdf_url',
+    source: 'source',
+    googleBooksId: 'google_books_id',
+    semanticScholarId: 'semantic_scholar_id',
+    dateAdded: 'date_added',
+    dateModified: 'date_modified'
+};
+
+// Fields a client may set; id, user_id and the timestamps are managed here and in the database
+const WRITABLE_FIELDS = [
+    'title', 'author', 'type', 'category', 'publishingYear', 'status', 'pages',
+    'difficulty', 'language', 'url', 'coverUrl', 'rating', 'summary', 'notes',
+    'isbn', 'doi', 'venue', 'citedBy', 'pdfUrl', 'source', 'googleBooksId', 'semanticScholarId'
+];
+
+const SORT_FIELDS = ['dateAdded', 'dateModified', 'title', 'author', 'year', 'rating'];
+const FILTER_FIELDS = ['type', 'status', 'category', 'language'];
+const ITEM_TYPES = ['book', 'paper'];
+
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_ITEMS = 100;
+
+/**
+ * Library items, stored through the configured LIBRARY_STORE
+ *
+ * Validation and the mapping between items and `libraries` rows live here;
+ * stores only read and write rows. Every store implements:
+ *
+ *   list(user, { limit, offset, sort, order, filters, q }) -> { rows, total }
+ *   get(user, id) -> row or null
+ *   create(user, rows) -> inserted rows
+ *   update(user, ids, changes) -> updated rows
+ *   remove(user, ids) -> deleted IDs
+ *
+ * Writes take arrays, so bulk operations are a single store call. Sort,
+ * order and filter columns are checked against whitelists before they
+ * reach a store.
+ */
+class LibraryService {
+    constructor() {
+        this.stores = {
+            supabase: supabaseLibraryStore,
+            sqlite: sqliteLibraryStore
+        };
+        // LIBRARY_STORE is checked against the known names by the config module
+        this.storeName = config.get('LIBRARY_STORE');
+        this.sortFields = SORT_FIELDS;
+        this.filterFields = FILTER_FIELDS;
+        this.maxPageSize = MAX_PAGE_SIZE;
+        this.maxBulkItems = MAX_BULK_ITEMS;
+    }
+
+    /**
+     * Register an additional store
+     * @param {string} name - Store name used in LIBRARY_STORE
+     * @param {Object} store - Object with list, get, create, update and remove methods
+     */
+    registerStore(name, store) {
+        const missing = ['list', 'get', 'create', 'update', 'remove'].filter(method => typeof store?.[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Library store "${name}" must implement ${missing.join(', ')}`);
+        }
+        this.stores[name] = store;
+    }
+
+    /**
+     * The configured store
+     * @returns {Object} Store
+     */
+    get store() {
+        config.assertEnabled('library');
+        return this.stores[this.storeName];
+    }
+
+    /**
+     * Whether requests without a signed-in user may use the library
+     * Only for a self-hosted SQLite store when Supabase auth isn't configured:
+     * everything then belongs to one local user.
+     * @returns {boolean} True if anonymous requests act as the local user
+     */
+    allowsLocalUser() {
+        return this.storeName === 'sqlite' && !config.isEnabled('auth');
+    }
+
+    /**
+     * List a user's items
+     * @param {Object} user - Authenticated user (req.user)
+     * @param {Object} options - List options
+     * @param {number} options.limit - Page size (default: 20, max: 100)
+     * @param {number} options.offset - Items to skip (default: 0)
+     * @param {string} options.sort - One of SORT_FIELDS (default: 'dateAdded')
+     * @param {string} options.order - 'asc' or 'desc' (default: 'desc')
+     * @param {Object} options.filters - Exact-match filters on FILTER_FIELDS
+     * @param {string} options.q - Case-insensitive match on title or author
+     * @returns {Promise<Object>} { items, total }
+     */
+    async list(user, { limit = 20, offset = 0, sort = 'dateAdded', order = 'desc', filters = {}, q } = {}) {
+        const columnFilters = {};
+        for (const [field, value] of Object.entries(filters)) {
+            columnFilters[COLUMNS[field]] = value;
+        }
+
+        const { rows, total } = await this.store.list(user, {
+            limit,
+            offset,
+            sort: COLUMNS[sort],
+            order,
+            filters: columnFilters,
+            q
+        });
+        return { items: rows.map(row => this.fromRow(row)), total };
+    }
+
+    /**
+     * Get one item
+     * @param {Object} user - Authenticated user
+     * @param {string} id - Item ID
+     * @returns {Promise<Object>} Item
+     * @throws {NotFoundError} If the item doesn't exist or belongs to someone else
+     */
+    async get(user, id) {
+        const row = await this.store.get(user, id);
+        if (!row) {
+            throw new NotFoundError('Library item not found', { id });
+        }
+        return this.fromRow(row);
+    }
+
+    /**
+     * Create items
+     * @param {Object} user - Authenticated user
+     * @param {Array} items - Validated items (see validateItem)
+     * @returns {Promise<Array>} Created items with their IDs
+     */
+    async create(user, items) {
+        const rows = await this.store.create(user, items.map(item => this.toRow(item)));
+        return rows.map(row => this.fromRow(row));
+    }
+
+    /**
+     * Apply the same changes to one or more items
+     * @param {Object} user - Authenticated user
+     * @param {Array} ids - Item IDs
+     * @param {Object} changes - Validated partial item (see validateItem)
+     * @returns {Promise<Array>} Updated items; IDs that weren't found are left out
+     */
+    async update(user, ids, changes) {
+        const row = { ...this.toRow(changes), date_modified: new Date().toISOString() };
+        const rows = await this.store.update(user, ids, row);
+        return rows.map(updated => this.fromRow(updated));
+    }
+
+    /**
+     * Delete one or more items
+     * @param {Object} user - Authenticated user
+     * @param {Array} ids - Item IDs
+     * @returns {Promise<Array>} IDs that were deleted
+     */
+    remove(user, ids) {
+        return this.store.remove(user, ids);
+    }
+
+    /**
+     * Validate an item from a request body
+     * @param {Object} body - Item fields
+     * @param {Object} options - Options
+     * @param {boolean} options.partial - Allow missing fields, for updates (default: false)
+     * @returns {Object} Item with only writable fields, values normalized
+     * @throws {ValidationError} Naming the first invalid field
+     */
+    validateItem(body, { partial = false } = {}) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new ValidationError('Item must be an object');
+        }
+
+        // Read-only fields (id, dateAdded, ...) are ignored so a fetched item can be sent back as is
+        const unknown = Object.keys(body).filter(field => !(field in COLUMNS));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown fields: ${unknown.join(', ')}`, { fields: unknown });
+        }
+
+        const item = {};
+        for (const field of WRITABLE_FIELDS) {
+            if (body[field] === undefined) continue;
+            item[field] = body[field] === '' ? null : body[field];
+        }
+
+        if (!partial || 'title' in item) {
+            if (typeof item.title !== 'string' || !item.title.trim()) {
+                throw new ValidationError('title is required', { field: 'title' });
+            }
+            item.title = item.title.trim();
+        }
+        if (!partial || 'type' in item) {
+            item.type = String(item.type || 'book').toLowerCase();
+            if (!ITEM_TYPES.includes(item.type)) {
+                throw new ValidationError(`type must be one of: ${ITEM_TYPES.join(', ')}`, { field: 'type' });
+            }
+        }
+
+        this.checkNumber(item, 'pages', { integer: true, min: 1 });
+        this.checkNumber(item, 'difficulty', { integer: true, min: 1, max: 10 });
+        this.checkNumber(item, 'rating', { min: 0, max: 5 });
+        this.checkNumber(item, 'citedBy', { integer: true, min: 0 });
+
+        if (item.publishingYear !== undefined && item.publishingYear !== null) {
+            item.publishingYear = String(item.publishingYear).trim();
+        }
+
+        if (partial && Object.keys(item).length === 0) {
+            throw new ValidationError('No fields to update');
+        }
+        return item;
+    }
+
+    /**
+     * Validate and coerce a numeric field in place
+     * @param {Object} item - Item being validated
+     * @param {string} field - Field name
+     * @param {Object} rules - { integer, min, max }
+     * @throws {ValidationError} If the value is out of range
+     */
+    checkNumber(item, field, { integer = false, min, max }) {
+        if (item[field] === undefined || item[field] === null) return;
+
+        const value = Number(item[field]);
+        const valid = !isNaN(value) &&
+            (!integer || Number.isInteger(value)) &&
+            (min === undefined || value >= min) &&
+            (max === undefined || value <= max);
+        if (!valid) {
+            const range = max === undefined ? `at least ${min}` : `between ${min} and ${max}`;
+            throw new ValidationError(`${field} must be ${integer ? 'an integer' : 'a number'} ${range}`, { field });
+        }
+        item[field] = value;
+    }
+
+    /**
+     * Map an item to a `libraries` row
+     * @param {Object} item - Validated item
+     * @returns {Object} Row with only the columns present on the item
+     */
+    toRow(item) {
+        const row = {};
+        for (const [field, value] of Object.entries(item)) {
+            row[COLUMNS[field]] = value;
+        }
+        if ('publishingYear' in item) {
+            const year = parseInt(item.publishingYear, 10);
+            row.year = isNaN(year) ? null : year;
+        }
+        if ('coverUrl' in item) {
+            // cover_image is the older column, still read by existing clients
+            row.cover_image = item.coverUrl;
+        }
+        return row;
+    }
+
+    /**
+     * Map a `libraries` row to an item
+     * @param {Object} row - Database row
+     * @returns {Object} Item
+     */
+    fromRow(row) {
+        const item = {};
+        for (const [field, column] of Object.entries(COLUMNS)) {
+            item[field] = row[column] === undefined ? null : row[column];
+        }
+        item.publishingYear = row.publishing_year || (row.year ? String(row.year) : null);
+        item.coverUrl = row.cover_url || row.cover_image || null;
+        return item;
+    }
+}
+
+module.exports = new LibraryService();
@@ -0,0 +1,253 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { validateBookInfo, validateShelfSpine } = require('../utils/extractionValidator');
+const { ScanError } = require('../utils/scanErrors');
+
+// Lines below this OCR confidence are mostly noise from cover artwork
+const MIN_LINE_CONFIDENCE = 40;
+
+/**
+ * Offline vision provider: Tesseract OCR plus layout heuristics
+ *
+ * Needs no network access or API keys, so the scan flow can be developed and
+ * tested locally. The results are much rougher than a vision model's: the
+ * title is taken to be the largest text on the cover and the author the next
+ * largest (or a line starting with "by"). tesseract.js and its English data
+ * are dev dependencies and are only loaded when this provider is used.
+ */
+class LocalOcrService {
+    constructor() {
+        this.langPath = config.get('OCR_LANG_PATH');
+        this.workerPromise = null;
+    }
+
+    /**
+     * Extract book information from a cover image
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type of the image
+     * @returns {Promise<Object>} { success, data, rawResponse }
+     */
+    async extractBookInfo(imageBase64, mimeType = 'image/jpeg') {
+        logger.debug('Extracting cover details with local OCR');
+
+        const { lines, text } = await this.recognize(imageBase64);
+        const { data, fieldErrors } = validateBookInfo(this.guessBookInfo(lines, text));
+
+        return {
+            success: true,
+            data: { ...data, fieldErrors, source: 'local_ocr' },
+            rawResponse: text
+        };
+    }
+
+    /**
+     * Extract book spines from a shelf photo, treating each text block as one spine
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type of the image
+     * @returns {Promise<Object>} { success, data: Array of spines, rawResponse }
+     */
+    async extractShelfBooks(imageBase64, mimeType = 'image/jpeg') {
+        logger.debug('Extracting shelf spines with local OCR');
+
+        const { blocks, width, height, text } = await this.recognize(imageBase64);
+
+        const spines = blocks
+            .map(block => {
+                const { title, author } = this.guessTitleAndAuthor(block.lines);
+                const { data, fieldErrors } = validateShelfSpine({
+                    title,
+                    author,
+                    confidence: this.averageConfidence(block.lines),
+                    box_2d: width && height ? [
+                        Math.round(block.bbox.y0 / height * 1000),
+                        Math.round(block.bbox.x0 / width * 1000),
+                        Math.round(block.bbox.y1 / height * 1000),
+                        Math.round(block.bbox.x1 / width * 1000)
+                    ] : null
+                });
+                return { ...data, fieldErrors, source: 'local_ocr' };
+            })
+            .filter(spine => spine.title || spine.author)
+            // Left to right, like the vision model providers
+            .sort((a, b) => (a.boundingBox?.x ?? 0) - (b.boundingBox?.x ?? 0));
+
+        return {
+            success: true,
+            data: spines,
+            rawResponse: text
+        };
+    }
+
+    /**
+     * Run OCR on an image
+     * @param {string} imageBase64 - Base64 encoded image
+     * @returns {Promise<Object>} { lines, blocks, width, height, text } with low-confidence lines removed
+     */
+    async recognize(imageBase64) {
+        const worker = await this.getWorker();
+
+        let result;
+        try {
+            result = await worker.recognize(Buffer.from(imageBase64, 'base64'), {}, { text: true, blocks: true, hocr: true });
+        } catch (error) {
+            throw new ScanError('parse_failure', `Could not read text from the image: ${error.message || error}`);
+        }
+
+        const { text, blocks, hocr } = result.data;
+        const toLine = line => ({
+            text: line.text.replace(/\s+/g, ' ').trim(),
+            bbox: line.bbox,
+            height: line.bbox.y1 - line.bbox.y0,
+            confidence: line.confidence
+        });
+        const keepLine = line => line.text.length > 1 && line.confidence >= MIN_LINE_CONFIDENCE;
+
+        const textBlocks = (blocks || []).map(block => ({
+            bbox: block.bbox,
+            lines: block.paragraphs.flatMap(paragraph => paragraph.lines).map(toLine).filter(keepLine)
+        })).filter(block => block.lines.length > 0);
+
+        // The page size is only reported in the hOCR output
+        const page = hocr && hocr.match(/class='ocr_page'[^>]*bbox 0 0 (\d+) (\d+)/);
+
+        return {
+            lines: textBlocks.flatMap(block => block.lines),
+            blocks: textBlocks,
+            width: page ? parseInt(page[1], 10) : null,
+            height: page ? parseInt(page[2], 10) : null,
+            text: text || ''
+        };
+    }
+
+    /**
+     * Guess cover fields from OCR lines
+     * @param {Array} lines - OCR lines
+     * @param {string} text - Full OCR text
+     * @returns {Object} Raw book info for validateBookInfo
+     */
+    guessBookInfo(lines, text) {
+        const isbnMatch = text.match(/ISBN(?:-1[03])?:?\s*([\dX][\dX\s-]{8,16}[\dX])/i) || text.match(/\b(97[89][\d-]{10,14})\b/);
+        // Years printed next to the ISBN are usually the edition, not publication
+        const yearMatch = text.replace(isbnMatch ? isbnMatch[0] : '', '').match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+
+        // Lines that are only numbers/identifiers can't be the title or author
+        const textLines = lines.filter(line => /[a-z]{2}/i.test(line.text) && !/\bISBN\b/i.test(line.text));
+        const { title, author, titleLines, authorLines } = this.guessTitleAndAuthor(textLines);
+
+        return {
+            title,
+            author,
+            isbn: isbnMatch ? isbnMatch[1] : null,
+            publisher: null,
+            year: yearMatch ? yearMatch[1] : null,
+            description: null,
+            category: null,
+            // OCR confidence says how legible the text was, not whether the
+            // heuristics picked the right lines, so discount it
+            confidence: this.averageConfidence([...titleLines, ...authorLines]) * 0.8
+        };
+    }
+
+    /**
+     * Pick the title (largest text, including follow-on lines of the same size)
+     * and the author ("by ..." line, or the next largest text)
+     * @param {Array} lines - OCR lines in reading order
+     * @returns {Object} { title, author, titleLines, authorLines }
+     */
+    guessTitleAndAuthor(lines) {
+        if (lines.length === 0) {
+            return { title: null, author: null, titleLines: [], authorLines: [] };
+        }
+
+        const byLine = lines.find(line => /^by\s+\S/i.test(line.text));
+        const candidates = lines.filter(line => line !== byLine);
+
+        let titleLines = [];
+        if (candidates.length > 0) {
+            const tallest = candidates.reduce((max, line) => line.height > max.height ? line : max);
+            const start = candidates.indexOf(tallest);
+            titleLines = [tallest];
+            // Multi-line titles: keep adjacent lines of about the same size
+            for (let i = start + 1; i < candidates.length && Math.abs(candidates[i].height - tallest.height) <= tallest.height * 0.2; i++) {
+                titleLines.push(candidates[i]);
+            }
+        }
+
+        let authorLines = [];
+        if (byLine) {
+            authorLines = [byLine];
+        } else {
+            const remaining = candidates.filter(line => !titleLines.includes(line));
+            if (remaining.length > 0) {
+                authorLines = [remaining.reduce((max, line) => line.height > max.height ? line : max)];
+            }
+        }
+
+        return {
+            title: titleLines.map(line => line.text).join(' ') || null,
+            author: authorLines.length > 0 ? authorLines[0].text.replace(/^by\s+/i, '') : null,
+            titleLines,
+            authorLines
+        };
+    }
+
+    /**
+     * Average OCR confidence of some lines, scaled to 0-1
+     * @param {Array} lines - OCR lines
+     * @returns {number} Confidence between 0 and 1
+     */
+    averageConfidence(lines) {
+        if (lines.length === 0) return 0;
+        const total = lines.reduce((sum, line) => sum + line.confidence, 0);
+        return Math.round(total / lines.length) / 100;
+    }
+
+    /**
+     * Start the Tesseract worker on first use and reuse it afterwards
+     * @returns {Promise<Object>} Tesseract worker
+     */
+    getWorker() {
+        if (!this.workerPromise) {
+            this.workerPromise = this.createWorker().catch(error => {
+                this.workerPromise = null;
+                throw error;
+            });
+        }
+        return this.workerPromise;
+    }
+
+    /**
+     * Create a Tesseract worker using the bundled English data (no download)
+     * @returns {Promise<Object>} Tesseract worker
+     */
+    async createWorker() {
+        let tesseract;
+        let langPath = this.langPath;
+        try {
+            tesseract = require('tesseract.js');
+            if (!langPath) {
+                langPath = require('@tesseract.js-data/eng').langPath;
+            }
+        } catch (error) {
+            throw new ScanError('provider_down', 'Local OCR requires the tesseract.js and @tesseract.js-data/eng packages (npm install in server/)', {
+                retryable: false
+            });
+        }
+
+        const worker = await tesseract.createWorker('eng', tesseract.OEM.LSTM_ONLY, {
+            langPath,
+            gzip: true,
+            cacheMethod: 'none',
+            // Failed jobs reject their own promise; without a handler tesseract.js also throws globally
+            errorHandler: () => {}
+        });
+        await worker.setParameters({
+            // Covers and spines are scattered text rather than paragraphs
+            tessedit_pageseg_mode: tesseract.PSM.SPARSE_TEXT,
+            user_defined_dpi: '300'
+        });
+        return worker;
+    }
+}
+
+module.exports = new LocalOcrService();
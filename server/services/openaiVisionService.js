@@ -0,0 +1,168 @@
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { COVER_PROMPT, SHELF_PROMPT, parseBookInfo, parseShelf } = require('../utils/extractionValidator');
+const { ScanError, fromProviderError } = require('../utils/scanErrors');
+
+// JSON Schemas for response_format. Strict mode needs every property listed
+// as required, so optional fields are typed as nullable instead.
+const BOOK_INFO_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: ['string', 'null'], description: 'Book title' },
+        author: { type: ['string', 'null'], description: 'Author name(s), comma separated' },
+        isbn: { type: ['string', 'null'], description: 'ISBN-10 or ISBN-13 if printed on the cover' },
+        publisher: { type: ['string', 'null'], description: 'Publisher name' },
+        year: { type: ['integer', 'null'], description: 'Publication year' },
+        description: { type: ['string', 'null'], description: 'Brief description of the book' },
+        category: { type: ['string', 'null'], description: 'Book category/genre' },
+        confidence: { type: 'number', description: 'Confidence for the extraction between 0 and 1' }
+    },
+    required: ['title', 'author', 'isbn', 'publisher', 'year', 'description', 'category', 'confidence'],
+    additionalProperties: false
+};
+
+// The root of a strict schema must be an object, so spines are wrapped in { books }
+const SHELF_SCHEMA = {
+    type: 'object',
+    properties: {
+        books: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    title: { type: ['string', 'null'], description: 'Book title as printed on the spine' },
+                    author: { type: ['string', 'null'], description: 'Author name(s) if printed on the spine' },
+                    box_2d: {
+                        type: 'array',
+                        items: { type: 'integer' },
+                        description: 'Bounding box of the spine as [ymin, xmin, ymax, xmax] normalized to 0-1000'
+                    },
+                    confidence: { type: 'number', description: 'Confidence for this spine between 0 and 1' }
+                },
+                required: ['title', 'author', 'box_2d', 'confidence'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['books'],
+    additionalProperties: false
+};
+
+/**
+ * Vision provider for OpenAI and OpenAI-compatible chat completion APIs
+ * (e.g. Azure OpenAI proxies, vLLM, Ollama or LM Studio via OPENAI_BASE_URL)
+ */
+class OpenAIVisionService {
+    constructor() {
+        this.apiKey = config.get('OPENAI_API_KEY');
+        this.baseUrl = config.get('OPENAI_BASE_URL');
+        this.model = config.get('OPENAI_VISION_MODEL');
+    }
+
+    /**
+     * Extract book information from a cover image
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type of the image
+     * @returns {Promise<Object>} { success, data, rawResponse }
+     */
+    async extractBookInfo(imageBase64, mimeType = 'image/jpeg') {
+        logger.debug('Extracting cover details with OpenAI', { model: this.model });
+
+        const generatedText = await this.generateContent(COVER_PROMPT, imageBase64, mimeType, {
+            schemaName: 'book_info',
+            responseSchema: BOOK_INFO_SCHEMA
+        });
+
+        return {
+            success: true,
+            data: parseBookInfo(generatedText, 'openai'),
+            rawResponse: generatedText
+        };
+    }
+
+    /**
+     * Extract every book spine visible in a shelf photo
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type of the image
+     * @returns {Promise<Object>} { success, data: Array of spines, rawResponse }
+     */
+    async extractShelfBooks(imageBase64, mimeType = 'image/jpeg') {
+        logger.debug('Extracting shelf spines with OpenAI', { model: this.model });
+
+        const generatedText = await this.generateContent(SHELF_PROMPT, imageBase64, mimeType, {
+            schemaName: 'shelf_books',
+            responseSchema: SHELF_SCHEMA,
+            maxTokens: 4096
+        });
+
+        return {
+            success: true,
+            data: parseShelf(generatedText, 'openai'),
+            rawResponse: generatedText
+        };
+    }
+
+    /**
+     * Send a prompt with an inline image to the chat completions endpoint
+     * @param {string} prompt - Prompt text
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type of the image
+     * @param {Object} options - Generation options
+     * @param {string} options.schemaName - Name for the response schema
+     * @param {Object} options.responseSchema - JSON Schema for the response
+     * @param {number} options.maxTokens - Output token limit (default: 1024)
+     * @returns {Promise<string>} Generated text
+     * @throws {ScanError} Classified failure (timeout, quota, parse_failure, provider_down)
+     */
+    async generateContent(prompt, imageBase64, mimeType, { schemaName, responseSchema, maxTokens = 1024 }) {
+        try {
+            const requestBody = {
+                model: this.model,
+                messages: [{
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: prompt },
+                        { type: 'image_url', image_url: { url: `data:${mimeType};base64,${imageBase64}` } }
+                    ]
+                }],
+                temperature: 0.1,
+                max_tokens: maxTokens,
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: { name: schemaName, schema: responseSchema, strict: true }
+                }
+            };
+
+            const headers = { 'Content-Type': 'application/json' };
+            // Local OpenAI-compatible servers usually don't need a key
+            if (this.apiKey) {
+                headers['Authorization'] = `Bearer ${this.apiKey}`;
+            }
+
+            const response = await axios.post(`${this.baseUrl}/chat/completions`, requestBody, {
+                headers,
+                timeout: 60000
+            });
+
+            const message = response.data?.choices?.[0]?.message;
+            if (!message) {
+                throw new ScanError('parse_failure', 'Invalid response from vision API');
+            }
+            if (message.refusal) {
+                throw new ScanError('parse_failure', `Model refused the request: ${message.refusal}`);
+            }
+
+            // Only the size: model output can quote anything printed in the photo
+            logger.debug('OpenAI response received', { finishReason: response.data.choices[0].finish_reason, responseLength: (message.content || '').length });
+            return message.content || '';
+
+        } catch (error) {
+            const scanError = fromProviderError(error, 'OpenAI');
+            logger.error('OpenAI vision API error', { code: scanError.code, error: scanError });
+            throw scanError;
+        }
+    }
+}
+
+module.exports = new OpenAIVisionService();
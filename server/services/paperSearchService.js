@@ -0,0 +1,152 @@
+const config = require('../config');
+const { UpstreamError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const semanticScholarService = require('./semanticScholarService');
+const crossrefService = require('./crossrefService');
+const arxivService = require('./arxivService');
+const googleScholarService = require('./googleScholarService');
+
+const DEFAULT_PROVIDERS = ['semantic_scholar', 'crossref', 'arxiv', 'google_scholar'];
+
+class PaperSearchService {
+    constructor() {
+        // Every provider exposes searchPapers(query, maxResults) and returns raw
+        // paper objects in the shape GoogleScholarService.formatPaperData accepts
+        this.providers = {
+            semantic_scholar: semanticScholarService,
+            crossref: crossrefService,
+            arxiv: arxivService,
+            google_scholar: googleScholarService
+        };
+        this.chain = this.parseChain(config.get('PAPER_PROVIDERS'));
+    }
+
+    /**
+     * Parse the provider chain from a comma-separated list
+     * @param {string} value - e.g. "semantic_scholar,crossref"
+     * @returns {Array<string>} Provider names in the order they should be tried
+     */
+    parseChain(value) {
+        if (!value) return [...DEFAULT_PROVIDERS];
+
+        const names = value
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(Boolean);
+        const unknown = names.filter(name => !this.providers[name]);
+        if (unknown.length > 0) {
+            logger.warn('Ignoring unknown paper providers', { providers: unknown });
+        }
+
+        const known = names.filter(name => this.providers[name]);
+        return known.length > 0 ? known : [...DEFAULT_PROVIDERS];
+    }
+
+    /**
+     * Register an additional paper provider
+     * @param {string} name - Provider name used in PAPER_PROVIDERS and the response
+     * @param {Object} provider - Object with a searchPapers(query, maxResults) method
+     */
+    registerProvider(name, provider) {
+        if (!provider || typeof provider.searchPapers !== 'function') {
+            throw new Error(`Paper provider "${name}" must implement searchPapers(query, maxResults)`);
+        }
+        this.providers[name] = provider;
+    }
+
+    /**
+     * Search papers by running the provider chain in order
+     * Providers are tried until enough unique results are collected; results
+     * from later providers are merged into earlier ones when they describe
+     * the same paper.
+     * @param {string} query - Search query
+     * @param {number} maxResults - Maximum number of results (default: 10)
+     * @param {Array<string>} chain - Provider names to use (default: configured chain)
+     * @returns {Promise<Object>} Formatted papers, the answering provider and per-provider outcomes
+     */
+    async searchPapers(query, maxResults = 10, chain = this.chain) {
+        const merged = { index: new Map(), papers: [] };
+        const attempts = [];
+        let provider = null;
+
+        for (const name of chain) {
+            if (merged.papers.length >= maxResults) break;
+
+            const service = this.providers[name];
+            if (!service) {
+                attempts.push({ provider: name, success: false, count: 0, error: 'Unknown provider' });
+                continue;
+            }
+
+            try {
+                const papers = await service.searchPapers(query, maxResults);
+                attempts.push({ provider: name, success: true, count: papers.length });
+
+                if (papers.length > 0 && !provider) {
+                    provider = name;
+                }
+                for (const paper of papers) {
+                    this.mergePaper(merged, { ...paper, source: paper.source || name });
+                }
+            } catch (error) {
+                logger.warn('Paper provider failed', { provider: name, error: error.message });
+                attempts.push({ provider: name, success: false, count: 0, error: error.message });
+            }
+        }
+
+        const papers = merged.papers
+            .slice(0, maxResults)
+            .map(paper => googleScholarService.formatPaperData(paper));
+
+        if (papers.length === 0 && attempts.every(attempt => !attempt.success)) {
+            throw new UpstreamError('Paper search', 'All paper providers failed');
+        }
+
+        return { papers, provider, providers: attempts };
+    }
+
+    /**
+     * Merge a paper into the results, deduplicating by DOI or normalized title
+     * Papers without a DOI or a usable title are never merged.
+     * @param {Object} merged - Results so far: { index: Map of dedupe key to paper, papers: Array }
+     * @param {Object} paper - Raw paper object
+     */
+    mergePaper(merged, paper) {
+        const keys = [];
+        const title = this.normalizeTitle(paper.title);
+        if (title) {
+            keys.push(`title:${title}`);
+        }
+        if (paper.doi) {
+            keys.push(`doi:${paper.doi.toLowerCase()}`);
+        }
+
+        const existingKey = keys.find(key => merged.index.has(key));
+        if (!existingKey) {
+            const entry = { ...paper };
+            merged.papers.push(entry);
+            keys.forEach(key => merged.index.set(key, entry));
+            return;
+        }
+
+        const existing = merged.index.get(existingKey);
+        for (const [field, value] of Object.entries(paper)) {
+            if ((existing[field] === null || existing[field] === undefined || existing[field] === '') && value) {
+                existing[field] = value;
+            }
+        }
+        existing.citedBy = Math.max(existing.citedBy || 0, paper.citedBy || 0);
+        keys.forEach(key => merged.index.set(key, existing));
+    }
+
+    /**
+     * Normalize a title for duplicate detection
+     * @param {string} title - Paper title
+     * @returns {string} Lowercased title with punctuation and whitespace removed
+     */
+    normalizeTitle(title) {
+        return (title || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+}
+
+module.exports = new PaperSearchService();
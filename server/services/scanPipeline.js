@@ -0,0 +1,206 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const visionService = require('./visionService');
+const barcodeService = require('./barcodeService');
+const googleBooksService = require('./googleBooksService');
+const cacheService = require('./cacheService');
+const { parseISBN } = require('../utils/isbn');
+
+const MAX_MATCHES = 5;
+const SCAN_MODES = ['cover', 'shelf'];
+// Spines are matched a few at a time so a full shelf doesn't burst Google Books
+const SHELF_MATCH_CONCURRENCY = 4;
+
+/**
+ * Shared scan pipeline used by the Express /api/scan routes and the Vercel
+ * api/scan.js function: validate the image, extract book details, then look
+ * up candidate matches in Google Books.
+ *
+ * An ISBN barcode (decoded by the client, or found in the image here) is
+ * looked up directly and skips the vision model call altogether. Shelf mode
+ * extracts every spine in the photo and matches each one separately.
+ */
+class ScanPipeline {
+    /**
+     * Validate the scan input
+     * Either an image or a barcode value is required; shelf scans always need an image.
+     * @param {Object} input - Scan input
+     * @param {string} input.imageBase64 - Base64 encoded image
+     * @param {string} input.mimeType - MIME type
+     * @param {string} input.barcode - Barcode value decoded by the client (optional)
+     * @param {string} input.mode - 'cover' (default) or 'shelf'
+     * @returns {Object} Validation result
+     */
+    validate({ imageBase64, mimeType, barcode, mode = 'cover' }) {
+        if (!SCAN_MODES.includes(mode)) {
+            return { valid: false, error: `mode must be one of: ${SCAN_MODES.join(', ')}` };
+        }
+        if (mode === 'cover' && barcode !== undefined && barcode !== null) {
+            if (!parseISBN(String(barcode)).valid) {
+                return { valid: false, error: 'Barcode is not a valid ISBN' };
+            }
+            if (!imageBase64) {
+                return { valid: true };
+            }
+        }
+        if (!imageBase64) {
+            return { valid: false, error: 'Image data is required' };
+        }
+        return visionService.validateImage(imageBase64, mimeType);
+    }
+
+    /**
+     * Run the full scan: extraction followed by match lookup
+     * @param {Object} input - Scan input
+     * @param {string} input.imageBase64 - Base64 encoded image
+     * @param {string} input.mimeType - MIME type of the image
+     * @param {string} input.barcode - Barcode value decoded by the client (optional)
+     * @returns {Promise<Object>} { extractedInfo, confidence, matches, matchCount }
+     */
+    async process({ imageBase64, mimeType = 'image/jpeg', barcode }) {
+        const isbn = barcode
+            ? parseISBN(String(barcode))
+            : await barcodeService.detectISBN(imageBase64, mimeType);
+
+        if (isbn && isbn.isbn13) {
+            const barcodeResult = await this.processBarcode(isbn);
+            // Without an image (or a vision provider) there is nothing else to try
+            if (barcodeResult.matchCount > 0 || !imageBase64 || !config.isEnabled('vision')) {
+                return barcodeResult;
+            }
+            logger.info('No book found for barcode, falling back to cover extraction', { isbn: isbn.isbn13 });
+        }
+
+        config.assertEnabled('vision');
+        const extraction = await visionService.extractBookInfo(imageBase64, mimeType);
+        const extractedInfo = extraction.data;
+
+        const matches = await this.findMatches(extractedInfo);
+
+        return {
+            extractedInfo,
+            confidence: extractedInfo.confidence,
+            matches,
+            matchCount: matches.length
+        };
+    }
+
+    /**
+     * Run a shelf scan: extract every spine, then look up matches for each
+     * @param {Object} input - Scan input
+     * @param {string} input.imageBase64 - Base64 encoded image
+     * @param {string} input.mimeType - MIME type of the image
+     * @returns {Promise<Object>} { books: [{ extractedInfo, boundingBox, matches, matchCount }], bookCount }
+     */
+    async processShelf({ imageBase64, mimeType = 'image/jpeg' }) {
+        config.assertEnabled('vision');
+        const extraction = await visionService.extractShelfBooks(imageBase64, mimeType);
+        const spines = extraction.data;
+
+        const books = [];
+        for (let i = 0; i < spines.length; i += SHELF_MATCH_CONCURRENCY) {
+            const batch = spines.slice(i, i + SHELF_MATCH_CONCURRENCY);
+            books.push(...await Promise.all(batch.map(async ({ boundingBox, ...extractedInfo }) => {
+                const matches = await this.findMatches(extractedInfo);
+                return {
+                    extractedInfo,
+                    boundingBox,
+                    matches,
+                    matchCount: matches.length
+                };
+            })));
+        }
+
+        return {
+            books,
+            bookCount: books.length
+        };
+    }
+
+    /**
+     * Resolve a scanned ISBN barcode without calling the vision model
+     * @param {Object} isbn - { isbn10, isbn13 } from parseISBN
+     * @returns {Promise<Object>} { extractedInfo, confidence, matches, matchCount }
+     */
+    async processBarcode({ isbn10, isbn13 }) {
+        const matches = await this.findMatches({ isbn: isbn13 });
+        const book = matches[0];
+
+        const extractedInfo = {
+            title: book ? book.title : null,
+            author: book ? book.author : null,
+            isbn: isbn13,
+            isbn10,
+            publisher: book ? book.publisher : null,
+            year: book ? book.publishingYear : null,
+            description: book ? book.summary : null,
+            category: book ? book.category : null,
+            // The barcode identifies the edition exactly
+            confidence: 1,
+            fieldErrors: {},
+            source: 'barcode'
+        };
+
+        return {
+            extractedInfo,
+            confidence: extractedInfo.confidence,
+            matches,
+            matchCount: matches.length
+        };
+    }
+
+    /**
+     * Look up candidate books for the extracted information
+     * A readable ISBN is the most precise key, so it is tried before title/author search.
+     * Returns no matches when Google Books is not configured.
+     * @param {Object} extractedInfo - Extracted book information
+     * @returns {Promise<Array>} Candidate books in GoogleBooksService.formatBookData shape
+     */
+    async findMatches(extractedInfo) {
+        if (!config.isEnabled('googleBooks')) return [];
+
+        try {
+            const parsed = extractedInfo.isbn ? parseISBN(extractedInfo.isbn) : { valid: false };
+            if (parsed.valid) {
+                const { value: book } = await cacheService.wrap(
+                    cacheService.isbnKey(parsed.isbn13),
+                    () => googleBooksService.getBookByISBN(parsed.isbn13)
+                );
+                if (book) return [book];
+            }
+
+            if (!extractedInfo.title) return [];
+
+            const matches = await this.searchBooks({
+                intitle: extractedInfo.title,
+                inauthor: extractedInfo.author || undefined
+            });
+            // A misread author shouldn't hide the book, so retry on title alone
+            if (matches.length === 0 && extractedInfo.author) {
+                return await this.searchBooks({ intitle: extractedInfo.title });
+            }
+            return matches;
+        } catch (error) {
+            // Matches are a convenience; the extraction is still useful without them
+            logger.warn('Google Books match lookup failed', { error: error.message });
+            return [];
+        }
+    }
+
+    /**
+     * Run a cached, field-scoped Google Books search
+     * @param {Object} fields - Fields for GoogleBooksService.buildQuery
+     * @returns {Promise<Array>} Formatted books
+     */
+    async searchBooks(fields) {
+        const query = googleBooksService.buildQuery(fields);
+        const options = { maxResults: MAX_MATCHES };
+        const { value } = await cacheService.wrap(
+            cacheService.queryKey('books', query, options),
+            () => googleBooksService.searchVolumes(query, options)
+        );
+        return value.items;
+    }
+}
+
+module.exports = new ScanPipeline();
@@ -0,0 +1,69 @@
+const axios = require('axios');
+const config = require('../config');
+const { UpstreamError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class SemanticScholarService {
+    constructor() {
+        this.apiKey = config.get('SEMANTIC_SCHOLAR_API_KEY');
+        this.searchUrl = 'https://api.semanticscholar.org/graph/v1/paper/search';
+        this.fields = 'title,authors,year,abstract,citationCount,venue,publicationDate,openAccessPdf,externalIds,url';
+    }
+
+    /**
+     * Search for academic papers using the Semantic Scholar Graph API
+     * @param {string} query - Search query
+     * @param {number} maxResults - Maximum number of results (default: 10)
+     * @returns {Promise<Array>} Array of raw paper objects
+     */
+    async searchPapers(query, maxResults = 10) {
+        try {
+            const headers = { 'Accept': 'application/json' };
+            if (this.apiKey) {
+                headers['x-api-key'] = this.apiKey;
+            }
+
+            const response = await axios.get(this.searchUrl, {
+                params: {
+                    query,
+                    limit: Math.min(maxResults, 100), // Semantic Scholar API limit
+                    fields: this.fields
+                },
+                headers,
+                timeout: 15000
+            });
+
+            return (response.data.data || []).map(paper => this.toRawPaper(paper));
+        } catch (error) {
+            const upstreamError = UpstreamError.fromAxios(error, 'Semantic Scholar', 'search Semantic Scholar');
+            logger.error('Semantic Scholar API error', { error: upstreamError });
+            throw upstreamError;
+        }
+    }
+
+    /**
+     * Convert a Semantic Scholar paper to the raw shape formatPaperData expects
+     * @param {Object} paper - Semantic Scholar paper object
+     * @returns {Object} Raw paper object
+     */
+    toRawPaper(paper) {
+        const authors = paper.authors ? paper.authors.map(a => a.name).join(', ') : 'Unknown Authors';
+
+        return {
+            id: `semantic_${paper.paperId}`,
+            title: paper.title,
+            authors,
+            author: authors,
+            year: paper.year || null,
+            snippet: paper.abstract || '',
+            citedBy: paper.citationCount || 0,
+            link: paper.url || null,
+            pdfLink: paper.openAccessPdf?.url || null,
+            doi: paper.externalIds?.DOI || null,
+            venue: paper.venue || null,
+            source: 'semantic_scholar'
+        };
+    }
+}
+
+module.exports = new SemanticScholarService();
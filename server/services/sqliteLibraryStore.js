@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { ValidationError, ServiceUnavailableError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Same columns and checks as the Supabase table (see UI/supabase-setup.md)
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS libraries (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    author TEXT,
+    type TEXT CHECK (type IN ('book', 'paper')) NOT NULL,
+    category TEXT,
+    year INTEGER,
+    publishing_year TEXT,
+    status TEXT,
+    pages INTEGER,
+    difficulty INTEGER CHECK (difficulty >= 1 AND difficulty <= 10),
+    language TEXT,
+    url TEXT,
+    cover_url TEXT,
+    cover_image TEXT,
+    rating REAL CHECK (rating >= 0 AND rating <= 5),
+    summary TEXT,
+    notes TEXT,
+    isbn TEXT,
+    doi TEXT,
+    venue TEXT,
+    cited_by INTEGER CHECK (cited_by >= 0),
+    pdf_url TEXT,
+    source TEXT,
+    google_books_id TEXT,
+    semantic_scholar_id TEXT,
+    date_added TEXT NOT NULL,
+    date_modified TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_libraries_user_id ON libraries(user_id);
+`;
+
+// Columns added after the first release, added to older database files on open
+const ADDED_COLUMNS = {
+    isbn: 'TEXT',
+    doi: 'TEXT',
+    venue: 'TEXT',
+    cited_by: 'INTEGER CHECK (cited_by >= 0)',
+    pdf_url: 'TEXT',
+    source: 'TEXT',
+    google_books_id: 'TEXT',
+    semantic_scholar_id: 'TEXT'
+};
+
+/**
+ * Library store in a local SQLite file
+ *
+ * Lets the server keep libraries without a Supabase project: fully
+ * self-hosted, offline, or in tests. better-sqlite3 is an optional
+ * dependency and is only loaded when this store is used. Every query is
+ * scoped to the user's ID, since there is no Row Level Security here.
+ */
+class SqliteLibraryStore {
+    constructor() {
+        this.filePath = config.get('LIBRARY_SQLITE_FILE') || path.join(__dirname, '..', '.data', 'library.db');
+        this.db = null;
+    }
+
+    /**
+     * List a user's rows
+     * @param {Object} user - Authenticated user (req.user)
+     * @param {Object} options - { limit, offset, sort, order, filters, q } with column names
+     * @returns {Promise<Object>} { rows, total }
+     */
+    async list(user, { limit, offset, sort, order, filters, q }) {
+        const conditions = ['user_id = ?'];
+        const values = [user.id];
+
+        for (const [column, value] of Object.entries(filters)) {
+            conditions.push(`${column} = ?`);
+            values.push(value);
+        }
+        if (q && q.trim()) {
+            const pattern = `%${q.trim().replace(/[\\%_]/g, '\\$&')}%`;
+            conditions.push("(title LIKE ? ESCAPE '\\' OR author LIKE ? ESCAPE '\\')");
+            values.push(pattern, pattern);
+        }
+
+        // sort, order and filter columns come from the library service's whitelists
+        const where = conditions.join(' AND ');
+        const db = this.getDb();
+        const { total } = db.prepare(`SELECT COUNT(*) AS total FROM libraries WHERE ${where}`).get(...values);
+        const rows = db.prepare(
+            `SELECT * FROM libraries WHERE ${where} ORDER BY ${sort} ${order.toUpperCase()} NULLS LAST LIMIT ? OFFSET ?`
+        ).all(...values, limit, offset);
+
+        return { rows, total };
+    }
+
+    /**
+     * Get one row
+     * @param {Object} user - Authenticated user
+     * @param {string} id - Item ID
+     * @returns {Promise<Object|null>} Row or null
+     */
+    async get(user, id) {
+        return this.getDb().prepare('SELECT * FROM libraries WHERE id = ? AND user_id = ?').get(id, user.id) || null;
+    }
+
+    /**
+     * Insert rows in one transaction
+     * @param {Object} user - Authenticated user
+     * @param {Array} rows - Rows without id or user_id
+     * @returns {Promise<Array>} Inserted rows
+     */
+    async create(user, rows) {
+        const db = this.getDb();
+        const now = new Date().toISOString();
+
+        return this.run(() => db.transaction(() => rows.map(row => {
+            const record = { ...row, id: crypto.randomUUID(), user_id: user.id, date_added: now, date_modified: now };
+            const columns = Object.keys(record);
+            db.prepare(
+                `INSERT INTO libraries (${columns.join(', ')}) VALUES (${columns.map(column => `@${column}`).join(', ')})`
+            ).run(record);
+            return db.prepare('SELECT * FROM libraries WHERE id = ?').get(record.id);
+        }))());
+    }
+
+    /**
+     * Apply the same column values to rows
+     * @param {Object} user - Authenticated user
+     * @param {Array} ids - Item IDs
+     * @param {Object} changes - Column values
+     * @returns {Promise<Array>} Updated rows
+     */
+    async update(user, ids, changes) {
+        const db = this.getDb();
+        const assignments = Object.keys(changes).map(column => `${column} = @${column}`).join(', ');
+        const idParams = ids.map((id, index) => `@id${index}`).join(', ');
+        const params = { ...changes, user_id: user.id };
+        ids.forEach((id, index) => { params[`id${index}`] = id; });
+
+        return this.run(() => db.transaction(() => {
+            db.prepare(`UPDATE libraries SET ${assignments} WHERE user_id = @user_id AND id IN (${idParams})`).run(params);
+            return db.prepare(`SELECT * FROM libraries WHERE user_id = @user_id AND id IN (${idParams})`).all(params);
+        })());
+    }
+
+    /**
+     * Delete rows
+     * @param {Object} user - Authenticated user
+     * @param {Array} ids - Item IDs
+     * @returns {Promise<Array>} IDs that were deleted
+     */
+    async remove(user, ids) {
+        const db = this.getDb();
+        const placeholders = ids.map(() => '?').join(', ');
+
+        return db.transaction(() => {
+            const existing = db.prepare(`SELECT id FROM libraries WHERE user_id = ? AND id IN (${placeholders})`)
+                .all(user.id, ...ids)
+                .map(row => row.id);
+            db.prepare(`DELETE FROM libraries WHERE user_id = ? AND id IN (${placeholders})`).run(user.id, ...ids);
+            return existing;
+        })();
+    }
+
+    /**
+     * Run a write, reporting constraint violations as validation errors
+     * @param {Function} fn - Write to run
+     * @returns {*} The write's result
+     */
+    run(fn) {
+        try {
+            return fn();
+        } catch (error) {
+            if (error.code && error.code.startsWith('SQLITE_CONSTRAINT')) {
+                throw new ValidationError(error.message, { dbCode: error.code });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Open the database on first use, creating the file and table if needed
+     * @returns {Object} better-sqlite3 database
+     */
+    getDb() {
+        if (this.db) return this.db;
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new ServiceUnavailableError('SQLite library storage requires the better-sqlite3 package (npm install in server/)', {
+                feature: 'library'
+            });
+        }
+
+        if (this.filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        }
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+        this.migrate();
+        logger.info('Opened SQLite library store', { file: this.filePath });
+        return this.db;
+    }
+
+    /**
+     * Add columns missing from a database file created by an older version
+     * The difficulty check of older files stays at 1-5; recreate the file to widen it.
+     */
+    migrate() {
+        const existing = new Set(this.db.prepare('PRAGMA table_info(libraries)').all().map(column => column.name));
+        for (const [column, definition] of Object.entries(ADDED_COLUMNS)) {
+            if (!existing.has(column)) {
+                this.db.exec(`ALTER TABLE libraries ADD COLUMN ${column} ${definition}`);
+                logger.info('Added column to SQLite library store', { column });
+            }
+        }
+    }
+}
+
+module.exports = new SqliteLibraryStore();
@@ -0,0 +1,151 @@
+const axios = require('axios');
+const config = require('../config');
+const { AppError, ValidationError, UpstreamError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Library store backed by the Supabase `libraries` table
+ *
+ * Requests go to the PostgREST API with the caller's own access token, so
+ * Row Level Security limits every query to that user's rows. The user_id
+ * filter and column are still set explicitly, as the browser client does.
+ */
+class SupabaseLibraryStore {
+    constructor() {
+        this.baseUrl = config.get('SUPABASE_URL') ? `${config.get('SUPABASE_URL')}/rest/v1/libraries` : null;
+        this.anonKey = config.get('SUPABASE_ANON_KEY');
+    }
+
+    /**
+     * List a user's rows
+     * @param {Object} user - Authenticated user (req.user)
+     * @param {Object} options - { limit, offset, sort, order, filters, q } with column names
+     * @returns {Promise<Object>} { rows, total }
+     */
+    async list(user, { limit, offset, sort, order, filters, q }) {
+        const params = {
+            select: '*',
+            user_id: `eq.${user.id}`,
+            order: `${sort}.${order}.nullslast`,
+            limit,
+            offset
+        };
+        for (const [column, value] of Object.entries(filters)) {
+            params[column] = `eq.${value}`;
+        }
+        if (q) {
+            // Quoted so commas and parentheses don't break PostgREST's or=() syntax; * is its wildcard
+            const term = q.trim().replace(/\*/g, '').replace(/[\\"]/g, '\\$&');
+            if (term) {
+                params.or = `(title.ilike."*${term}*",author.ilike."*${term}*")`;
+            }
+        }
+
+        const response = await this.request(user, 'list library items', {
+            method: 'get',
+            params,
+            headers: { Prefer: 'count=exact' }
+        });
+
+        // Content-Range: 0-19/57
+        const total = parseInt((response.headers['content-range'] || '').split('/')[1], 10);
+        return {
+            rows: response.data,
+            total: isNaN(total) ? response.data.length : total
+        };
+    }
+
+    /**
+     * Get one row
+     * @param {Object} user - Authenticated user
+     * @param {string} id - Item ID
+     * @returns {Promise<Object|null>} Row or null
+     */
+    async get(user, id) {
+        const response = await this.request(user, 'fetch library item', {
+            method: 'get',
+            params: { select: '*', id: `eq.${id}`, user_id: `eq.${user.id}` }
+        });
+        return response.data[0] || null;
+    }
+
+    /**
+     * Insert rows
+     * @param {Object} user - Authenticated user
+     * @param {Array} rows - Rows without id or user_id
+     * @returns {Promise<Array>} Inserted rows
+     */
+    async create(user, rows) {
+        const response = await this.request(user, 'create library items', {
+            method: 'post',
+            data: rows.map(row => ({ ...row, user_id: user.id })),
+            headers: { Prefer: 'return=representation' }
+        });
+        return response.data;
+    }
+
+    /**
+     * Apply the same column values to rows
+     * @param {Object} user - Authenticated user
+     * @param {Array} ids - Item IDs
+     * @param {Object} changes - Column values
+     * @returns {Promise<Array>} Updated rows
+     */
+    async update(user, ids, changes) {
+        const response = await this.request(user, 'update library items', {
+            method: 'patch',
+            params: { id: `in.(${ids.join(',')})`, user_id: `eq.${user.id}` },
+            data: changes,
+            headers: { Prefer: 'return=representation' }
+        });
+        return response.data;
+    }
+
+    /**
+     * Delete rows
+     * @param {Object} user - Authenticated user
+     * @param {Array} ids - Item IDs
+     * @returns {Promise<Array>} IDs that were deleted
+     */
+    async remove(user, ids) {
+        const response = await this.request(user, 'delete library items', {
+            method: 'delete',
+            params: { id: `in.(${ids.join(',')})`, user_id: `eq.${user.id}` },
+            headers: { Prefer: 'return=representation' }
+        });
+        return response.data.map(row => row.id);
+    }
+
+    /**
+     * Send a PostgREST request as the user
+     * @param {Object} user - Authenticated user with accessToken
+     * @param {string} action - What is being done, for error messages
+     * @param {Object} options - Axios request options
+     * @returns {Promise<Object>} Axios response
+     */
+    async request(user, action, options) {
+        try {
+            return await axios({
+                url: this.baseUrl,
+                timeout: 10000,
+                ...options,
+                headers: {
+                    apikey: this.anonKey,
+                    Authorization: `Bearer ${user.accessToken}`,
+                    ...options.headers
+                }
+            });
+        } catch (error) {
+            // PostgREST rejects bad values (check constraints, malformed UUIDs) with a 400
+            if (error.response && error.response.status === 400 && error.response.data?.message) {
+                throw new ValidationError(error.response.data.message, { dbCode: error.response.data.code });
+            }
+
+            const upstreamError = error instanceof AppError ? error : UpstreamError.fromAxios(error, 'Supabase', action);
+            logger.error('Supabase library request failed', { action, error: upstreamError });
+            throw upstreamError;
+        }
+    }
+}
+
+module.exports = new SupabaseLibraryStore();
@@ -0,0 +1,82 @@
+const config = require('../config');
+const geminiService = require('./geminiService');
+const openaiVisionService = require('./openaiVisionService');
+const localOcrService = require('./localOcrService');
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // 10MB limit
+
+class VisionService {
+    constructor() {
+        // Every provider exposes extractBookInfo(imageBase64, mimeType) and
+        // extractShelfBooks(imageBase64, mimeType), returning validated fields
+        // in the shape described in utils/extractionValidator.js
+        this.providers = {
+            gemini: geminiService,
+            openai: openaiVisionService,
+            local: localOcrService
+        };
+        // VISION_PROVIDER is checked against the known names by the config module
+        this.providerName = config.get('VISION_PROVIDER');
+    }
+
+    /**
+     * Register an additional vision provider
+     * @param {string} name - Provider name used in VISION_PROVIDER
+     * @param {Object} provider - Object with extractBookInfo and extractShelfBooks methods
+     */
+    registerProvider(name, provider) {
+        if (!provider || typeof provider.extractBookInfo !== 'function' || typeof provider.extractShelfBooks !== 'function') {
+            throw new Error(`Vision provider "${name}" must implement extractBookInfo and extractShelfBooks`);
+        }
+        this.providers[name] = provider;
+    }
+
+    /**
+     * Extract book information from a cover image with the configured provider
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type of the image
+     * @returns {Promise<Object>} { success, data, rawResponse }
+     */
+    extractBookInfo(imageBase64, mimeType) {
+        return this.providers[this.providerName].extractBookInfo(imageBase64, mimeType);
+    }
+
+    /**
+     * Extract book spines from a shelf photo with the configured provider
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type of the image
+     * @returns {Promise<Object>} { success, data: Array of spines, rawResponse }
+     */
+    extractShelfBooks(imageBase64, mimeType) {
+        return this.providers[this.providerName].extractShelfBooks(imageBase64, mimeType);
+    }
+
+    /**
+     * Validate image format and size
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {string} mimeType - MIME type
+     * @returns {Object} Validation result
+     */
+    validateImage(imageBase64, mimeType) {
+        if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+            return {
+                valid: false,
+                error: 'Unsupported image format. Please use JPEG, PNG, or WebP.'
+            };
+        }
+
+        // Calculate image size from base64
+        const sizeInBytes = (imageBase64.length * 3) / 4;
+        if (sizeInBytes > MAX_IMAGE_BYTES) {
+            return {
+                valid: false,
+                error: 'Image too large. Please use an image smaller than 10MB.'
+            };
+        }
+
+        return { valid: true };
+    }
+}
+
+module.exports = new VisionService();
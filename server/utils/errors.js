@@ -0,0 +1,165 @@
+/**
+ * Application errors
+ *
+ * Routes throw (or pass to next()) one of these and middleware/errorHandler.js
+ * turns it into the JSON error envelope:
+ *
+ *   { success: false, error: "message", code: "machine_readable_code", requestId, details? }
+ *
+ * Anything that isn't an AppError is reported as a 500 internal_error without
+ * its message, since it may contain internals.
+ */
+
+// Query parameters that carry credentials in upstream URLs (e.g. Google Books ?key=)
+const SECRET_PARAMS = /([?&](?:key|api_key|apikey|access_token|token)=)[^&\s"']+/gi;
+
+class AppError extends Error {
+    /**
+     * @param {string} message - User-facing message
+     * @param {Object} options - Options
+     * @param {number} options.status - HTTP status (default: 500)
+     * @param {string} options.code - Machine-readable error code (default: 'internal_error')
+     * @param {Object} options.details - Extra fields for the response (optional)
+     */
+    constructor(message, { status = 500, code = 'internal_error', details = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    /**
+     * Build the JSON error envelope
+     * @param {string} requestId - Request ID (optional)
+     * @returns {Object} { success: false, error, code, requestId, details }
+     */
+    toResponse(requestId) {
+        return {
+            success: false,
+            error: this.message,
+            code: this.code,
+            ...(requestId ? { requestId } : {}),
+            ...(this.details ? { details: this.details } : {})
+        };
+    }
+}
+
+class ValidationError extends AppError {
+    /**
+     * @param {string} message - What is wrong with the request
+     * @param {Object} details - Extra fields for the response, e.g. the rejected value (optional)
+     */
+    constructor(message, details = null) {
+        super(message, { status: 400, code: 'validation_error', details });
+    }
+}
+
+class NotFoundError extends AppError {
+    /**
+     * @param {string} message - What wasn't found
+     * @param {Object} details - Extra fields for the response (optional)
+     */
+    constructor(message, details = null) {
+        super(message, { status: 404, code: 'not_found', details });
+    }
+}
+
+class RateLimitError extends AppError {
+    /**
+     * @param {string} message - Which limit was hit
+     * @param {number} retryAfter - Seconds until the limit resets
+     */
+    constructor(message, retryAfter) {
+        super(message, { status: 429, code: 'rate_limited', details: { retryAfter } });
+        this.retryAfter = retryAfter;
+    }
+}
+
+class AuthenticationError extends AppError {
+    /**
+     * @param {string} message - Why the request was rejected
+     */
+    constructor(message) {
+        super(message, { status: 401, code: 'unauthorized' });
+    }
+}
+
+class ServiceUnavailableError extends AppError {
+    /**
+     * @param {string} message - What is unavailable
+     * @param {Object} details - Extra fields for the response (optional)
+     */
+    constructor(message, details = null) {
+        super(message, { status: 503, code: 'service_unavailable', details });
+    }
+}
+
+class UpstreamError extends AppError {
+    /**
+     * @param {string} service - Upstream service name (e.g. 'Google Books')
+     * @param {string} message - User-facing message, already free of secrets
+     * @param {Object} options - Options
+     * @param {number} options.upstreamStatus - HTTP status the upstream answered with (optional)
+     * @param {boolean} options.timeout - Whether the request timed out
+     */
+    constructor(service, message, { upstreamStatus = null, timeout = false } = {}) {
+        super(message, {
+            status: timeout ? 504 : 502,
+            code: timeout ? 'upstream_timeout' : 'upstream_error',
+            details: { service, ...(upstreamStatus ? { upstreamStatus } : {}) }
+        });
+        this.service = service;
+        this.upstreamStatus = upstreamStatus;
+    }
+
+    /**
+     * Wrap a failed upstream request
+     * Only the status and a redacted message are kept: the Axios error itself
+     * holds the request config, including API keys in URLs and headers, so it
+     * must never reach a response or a log line.
+     * @param {Error} error - Axios (or other) error
+     * @param {string} service - Upstream service name
+     * @param {string} action - What was being done, e.g. 'search books'
+     * @returns {UpstreamError} Wrapped error
+     */
+    static fromAxios(error, service, action) {
+        if (error instanceof AppError) {
+            return error;
+        }
+
+        const timeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        const upstreamStatus = error.response ? error.response.status : null;
+
+        let reason;
+        if (timeout) {
+            reason = 'request timed out';
+        } else if (upstreamStatus) {
+            reason = `${service} responded with status ${upstreamStatus}`;
+        } else {
+            reason = redactSecrets(error.message || 'request failed');
+        }
+
+        return new UpstreamError(service, `Failed to ${action}: ${reason}`, { upstreamStatus, timeout });
+    }
+}
+
+/**
+ * Remove credentials from text that may contain upstream URLs
+ * @param {string} text - Text such as an error message
+ * @returns {string} Text with secret query parameters replaced
+ */
+function redactSecrets(text) {
+    return String(text).replace(SECRET_PARAMS, '$1[REDACTED]');
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    RateLimitError,
+    AuthenticationError,
+    ServiceUnavailableError,
+    UpstreamError,
+    redactSecrets
+};
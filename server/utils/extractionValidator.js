@@ -0,0 +1,285 @@
+const { parseISBN } = require('./isbn');
+const { ScanError } = require('./scanErrors');
+
+/**
+ * Field-by-field validation of book details extracted by a vision model
+ *
+ * Each field is coerced to its expected type on its own: a malformed value
+ * becomes null and is reported in fieldErrors, while the other fields are
+ * kept. Missing or empty values are simply null and are not errors.
+ *
+ * Every vision provider returns the same JSON shape (see the prompts below),
+ * with spine bounding boxes as box_2d: [ymin, xmin, ymax, xmax] scaled to 0-1000.
+ */
+
+const COVER_PROMPT = 'Analyze this book cover image and extract the book details. Please be as accurate as possible. If any information is not clearly visible or readable, use null for that field. Focus on extracting the title and author as these are most important for book identification.';
+
+const SHELF_PROMPT = 'This image shows a shelf of books photographed from the front, so the spines are visible. Identify every book spine, from left to right, with one entry per spine. Use null for any text that is not clearly readable, and skip spines where neither title nor author can be read.';
+
+// Placeholder answers models give instead of null
+const EMPTY_VALUES = /^(null|none|n\/a|unknown|not visible)$/i;
+
+/**
+ * Coerce a free-text field
+ * @param {*} value - Raw value
+ * @returns {Object} { value } or { error }
+ */
+function coerceText(value) {
+    if (typeof value === 'number') {
+        // e.g. the title "1984"
+        return { value: String(value) };
+    }
+    if (typeof value !== 'string') {
+        return { error: 'Expected text' };
+    }
+    return { value: value.replace(/\s+/g, ' ').trim() };
+}
+
+/**
+ * Coerce an author field, joining a list of names
+ * @param {*} value - Raw value
+ * @returns {Object} { value } or { error }
+ */
+function coerceAuthor(value) {
+    if (Array.isArray(value)) {
+        if (!value.every(name => typeof name === 'string')) {
+            return { error: 'Expected author names as text' };
+        }
+        return coerceText(value.map(name => name.trim()).filter(Boolean).join(', '));
+    }
+    return coerceText(value);
+}
+
+/**
+ * Coerce an ISBN field to a checked ISBN-13
+ * @param {*} value - Raw value
+ * @returns {Object} { value } or { error }
+ */
+function coerceISBN(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: 'Expected an ISBN' };
+    }
+    const parsed = parseISBN(String(value));
+    return parsed.valid ? { value: parsed.isbn13 } : { error: parsed.error };
+}
+
+/**
+ * Coerce a publication year, accepting strings such as "c. 1985" or "1985-06"
+ * @param {*} value - Raw value
+ * @returns {Object} { value } or { error }
+ */
+function coerceYear(value) {
+    const maxYear = new Date().getFullYear() + 1;
+    let year = null;
+
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        year = value;
+    } else if (typeof value === 'string') {
+        const match = value.match(/\b(\d{4})\b/);
+        year = match ? parseInt(match[1], 10) : null;
+    }
+
+    if (year === null || year < 1000 || year > maxYear) {
+        return { error: `Year must be a four-digit year between 1000 and ${maxYear}` };
+    }
+    return { value: year };
+}
+
+/**
+ * Coerce a confidence score to the 0-1 range
+ * Models sometimes answer on a 0-100 scale (or with a percent sign) despite the prompt.
+ * @param {*} value - Raw value
+ * @returns {Object} { value } or { error }
+ */
+function coerceConfidence(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (typeof value === 'boolean' || isNaN(number) || number < 0 || number > 100) {
+        return { error: 'Confidence must be a number between 0 and 1' };
+    }
+
+    const scaled = number > 1 ? number / 100 : number;
+    return { value: Math.round(scaled * 100) / 100 };
+}
+
+const BOOK_INFO_FIELDS = {
+    title: coerceText,
+    author: coerceAuthor,
+    isbn: coerceISBN,
+    publisher: coerceText,
+    year: coerceYear,
+    description: coerceText,
+    category: coerceText,
+    confidence: coerceConfidence
+};
+
+const SHELF_SPINE_FIELDS = {
+    title: coerceText,
+    author: coerceAuthor,
+    confidence: coerceConfidence
+};
+
+/**
+ * Validate each field of a raw object
+ * @param {Object} raw - Raw model output
+ * @param {Object} fields - Map of field name to coercer
+ * @returns {Object} { data, fieldErrors } where fieldErrors maps field name to message
+ */
+function validateFields(raw, fields) {
+    const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    const data = {};
+    const fieldErrors = {};
+
+    for (const [field, coerce] of Object.entries(fields)) {
+        const value = source[field];
+        if (value === null || value === undefined || (typeof value === 'string' && (!value.trim() || EMPTY_VALUES.test(value.trim())))) {
+            data[field] = null;
+            continue;
+        }
+
+        const result = coerce(value);
+        if (result.error) {
+            data[field] = null;
+            fieldErrors[field] = result.error;
+        } else {
+            data[field] = result.value === '' ? null : result.value;
+        }
+    }
+
+    return { data, fieldErrors };
+}
+
+/**
+ * Validate book details extracted from a cover
+ * @param {Object} raw - Raw model output
+ * @returns {Object} { data, fieldErrors }
+ */
+function validateBookInfo(raw) {
+    return validateFields(raw, BOOK_INFO_FIELDS);
+}
+
+/**
+ * Validate one spine from a shelf scan
+ * @param {Object} raw - Raw model output for one spine
+ * @returns {Object} { data, fieldErrors } with data.boundingBox from box_2d
+ */
+function validateShelfSpine(raw) {
+    const { data, fieldErrors } = validateFields(raw, SHELF_SPINE_FIELDS);
+
+    data.boundingBox = toBoundingBox(raw && raw.box_2d);
+    if (!data.boundingBox) {
+        fieldErrors.boundingBox = 'Bounding box must be [ymin, xmin, ymax, xmax] between 0 and 1000';
+    }
+    return { data, fieldErrors };
+}
+
+/**
+ * Convert a [ymin, xmin, ymax, xmax] box (0-1000) to fractions of the image size
+ * @param {Array} box - Bounding box
+ * @returns {Object|null} { x, y, width, height } between 0 and 1, or null if malformed
+ */
+function toBoundingBox(box) {
+    if (!Array.isArray(box) || box.length !== 4) return null;
+
+    const [ymin, xmin, ymax, xmax] = box.map(value => Math.min(1000, Math.max(0, parseFloat(value))) / 1000);
+    if ([ymin, xmin, ymax, xmax].some(isNaN) || xmax <= xmin || ymax <= ymin) return null;
+
+    return {
+        x: xmin,
+        y: ymin,
+        width: Math.round((xmax - xmin) * 1000) / 1000,
+        height: Math.round((ymax - ymin) * 1000) / 1000
+    };
+}
+
+/**
+ * Parse JSON model output
+ * @param {string} responseText - Generated text
+ * @returns {Object} { value } or { error }
+ */
+function parseModelJson(responseText) {
+    try {
+        // JSON mode shouldn't add Markdown fences, but tolerate them
+        return { value: JSON.parse(responseText.trim().replace(/^```(?:json)?\s*|\s*```$/g, '')) };
+    } catch (error) {
+        return { error: `Vision model returned malformed JSON: ${error.message}` };
+    }
+}
+
+/**
+ * Pick out complete "field": value pairs from malformed or truncated JSON
+ * @param {string} responseText - Generated text
+ * @param {Object} fields - Map of field name to coercer
+ * @returns {Object} Raw values that could be read
+ */
+function recoverFields(responseText, fields) {
+    const raw = {};
+    for (const field of Object.keys(fields)) {
+        const match = responseText.match(new RegExp(`"${field}"\\s*:\\s*("(?:[^"\\\\]|\\\\.)*"|-?\\d+(?:\\.\\d+)?)`));
+        if (match) {
+            try {
+                raw[field] = JSON.parse(match[1]);
+            } catch (error) {
+                // Not a valid JSON literal after all
+            }
+        }
+    }
+    return raw;
+}
+
+/**
+ * Parse and validate a cover extraction response
+ * @param {string} responseText - JSON text from the model
+ * @param {string} source - Source label for the result (e.g. 'gemini_ai')
+ * @returns {Object} Book information, with fieldErrors listing fields that failed validation
+ * @throws {ScanError} parse_failure, with any fields that could still be read as partial.extractedInfo
+ */
+function parseBookInfo(responseText, source) {
+    const { value: parsed, error } = parseModelJson(responseText);
+    if (error || !parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        const recovered = validateBookInfo(recoverFields(responseText, BOOK_INFO_FIELDS));
+        const hasFields = ['title', 'author', 'isbn'].some(field => recovered.data[field]);
+        throw new ScanError('parse_failure', error || 'Vision model response is not a JSON object', {
+            partial: hasFields
+                ? { extractedInfo: { ...recovered.data, fieldErrors: recovered.fieldErrors, source } }
+                : null
+        });
+    }
+
+    const { data, fieldErrors } = validateBookInfo(parsed);
+    return { ...data, fieldErrors, source };
+}
+
+/**
+ * Parse and validate a shelf scan response
+ * Accepts a bare array or { books: [...] }, since some APIs require an object at the root.
+ * @param {string} responseText - JSON text from the model
+ * @param {string} source - Source label for the results
+ * @returns {Array} Spines as { title, author, confidence, boundingBox, fieldErrors, source }
+ * @throws {ScanError} parse_failure
+ */
+function parseShelf(responseText, source) {
+    const { value: parsed, error } = parseModelJson(responseText);
+    if (error) {
+        throw new ScanError('parse_failure', error);
+    }
+    const spines = Array.isArray(parsed) ? parsed : parsed && parsed.books;
+    if (!Array.isArray(spines)) {
+        throw new ScanError('parse_failure', 'Vision model shelf response is not a JSON array');
+    }
+
+    return spines
+        .map(spine => {
+            const { data, fieldErrors } = validateShelfSpine(spine);
+            return { ...data, fieldErrors, source };
+        })
+        .filter(spine => spine.title || spine.author);
+}
+
+module.exports = {
+    COVER_PROMPT,
+    SHELF_PROMPT,
+    validateBookInfo,
+    validateShelfSpine,
+    parseBookInfo,
+    parseShelf
+};
@@ -0,0 +1,132 @@
+/**
+ * ISBN helpers: normalization, check-digit validation and ISBN-10/ISBN-13 conversion
+ */
+
+/**
+ * Strip hyphens, spaces and an optional "ISBN" prefix from an ISBN string
+ * @param {string} isbn - Raw ISBN as typed or scanned
+ * @returns {string} Bare ISBN (digits, plus a trailing X for ISBN-10)
+ */
+function normalizeISBN(isbn) {
+    if (isbn === null || isbn === undefined) return '';
+
+    return String(isbn)
+        .trim()
+        .replace(/^isbn(?:-1[03])?:?/i, '')
+        .replace(/[\s-]/g, '')
+        .toUpperCase();
+}
+
+/**
+ * Validate an ISBN-10 check digit
+ * @param {string} isbn - Bare ISBN-10
+ * @returns {boolean} True if the ISBN-10 is well-formed and its check digit matches
+ */
+function isValidISBN10(isbn) {
+    if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+        const digit = isbn[i] === 'X' ? 10 : parseInt(isbn[i], 10);
+        sum += digit * (10 - i);
+    }
+    return sum % 11 === 0;
+}
+
+/**
+ * Validate an ISBN-13 check digit
+ * @param {string} isbn - Bare ISBN-13
+ * @returns {boolean} True if the ISBN-13 is well-formed and its check digit matches
+ */
+function isValidISBN13(isbn) {
+    if (!/^97[89]\d{10}$/.test(isbn)) return false;
+
+    return calculateISBN13CheckDigit(isbn.substring(0, 12)) === isbn[12];
+}
+
+/**
+ * Calculate the ISBN-13 check digit for the first 12 digits
+ * @param {string} digits - First 12 digits of an ISBN-13
+ * @returns {string} Check digit
+ */
+function calculateISBN13CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += parseInt(digits[i], 10) * (i % 2 === 0 ? 1 : 3);
+    }
+    return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Calculate the ISBN-10 check digit for the first 9 digits
+ * @param {string} digits - First 9 digits of an ISBN-10
+ * @returns {string} Check digit (0-9 or X)
+ */
+function calculateISBN10CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < 9; i++) {
+        sum += parseInt(digits[i], 10) * (10 - i);
+    }
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+}
+
+/**
+ * Convert a valid ISBN-10 to ISBN-13 (978 prefix)
+ * @param {string} isbn10 - Bare, valid ISBN-10
+ * @returns {string} ISBN-13
+ */
+function toISBN13(isbn10) {
+    const core = `978${isbn10.substring(0, 9)}`;
+    return core + calculateISBN13CheckDigit(core);
+}
+
+/**
+ * Convert a valid ISBN-13 to ISBN-10
+ * Only 978-prefixed ISBN-13s have an ISBN-10 equivalent.
+ * @param {string} isbn13 - Bare, valid ISBN-13
+ * @returns {string|null} ISBN-10 or null if the ISBN has no ISBN-10 form
+ */
+function toISBN10(isbn13) {
+    if (!isbn13.startsWith('978')) return null;
+
+    const core = isbn13.substring(3, 12);
+    return core + calculateISBN10CheckDigit(core);
+}
+
+/**
+ * Parse, validate and expand an ISBN into both forms
+ * @param {string} input - Hyphenated or bare ISBN-10/ISBN-13
+ * @returns {Object} Result with valid flag, isbn10, isbn13 and an error message when invalid
+ */
+function parseISBN(input) {
+    const isbn = normalizeISBN(input);
+
+    if (isbn.length === 10) {
+        if (!isValidISBN10(isbn)) {
+            return { valid: false, error: 'Invalid ISBN-10 check digit' };
+        }
+        return { valid: true, isbn10: isbn, isbn13: toISBN13(isbn) };
+    }
+
+    if (isbn.length === 13) {
+        if (!/^97[89]/.test(isbn)) {
+            return { valid: false, error: 'ISBN-13 must start with 978 or 979' };
+        }
+        if (!isValidISBN13(isbn)) {
+            return { valid: false, error: 'Invalid ISBN-13 check digit' };
+        }
+        return { valid: true, isbn10: toISBN10(isbn), isbn13: isbn };
+    }
+
+    return { valid: false, error: 'ISBN must contain 10 or 13 characters' };
+}
+
+module.exports = {
+    normalizeISBN,
+    isValidISBN10,
+    isValidISBN13,
+    toISBN10,
+    toISBN13,
+    parseISBN
+};
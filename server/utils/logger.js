@@ -0,0 +1,197 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { redactSecrets } = require('./errors');
+
+/**
+ * Structured logger
+ *
+ * Each entry is one line: JSON in production (LOG_FORMAT=json) and a short
+ * human-readable line in development (LOG_FORMAT=pretty). Entries written
+ * while handling a request carry its requestId (and userId once known)
+ * through AsyncLocalStorage, so services don't have to pass them around.
+ *
+ * Everything is redacted before it is written: fields named like credentials,
+ * configured API keys and secrets, bearer tokens, JWTs and key=... URL
+ * parameters.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are never logged
+const SECRET_FIELDS = /^(authorization|cookie|set-cookie|password|secret|token|access_?token|refresh_?token|api_?key|key|x-goog-api-key|imagebase64)$/i;
+const BEARER_TOKEN = /(Bearer\s+)[\w.~+/-]+=*/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+// Config values that must never appear in logs
+const SECRET_CONFIG_KEYS = ['GOOGLE_BOOKS_API_KEY', 'SEMANTIC_SCHOLAR_API_KEY', 'GEMINI_API_KEY', 'OPENAI_API_KEY', 'SUPABASE_JWT_SECRET', 'METRICS_TOKEN'];
+
+const PRETTY_COLORS = { debug: '\x1b[90m', info: '\x1b[36m', warn: '\x1b[33m', error: '\x1b[31m' };
+
+class Logger {
+    constructor() {
+        this.context = new AsyncLocalStorage();
+        this.level = LEVELS[config.get('LOG_LEVEL')];
+        this.format = config.get('LOG_FORMAT') || (config.get('NODE_ENV') === 'production' ? 'json' : 'pretty');
+        this.secrets = SECRET_CONFIG_KEYS
+            .map(name => config.get(name))
+            // Very short values would redact ordinary words
+            .filter(value => value && value.length >= 8);
+    }
+
+    /**
+     * Log at debug level
+     * @param {string} message - Message
+     * @param {Object} fields - Structured fields (optional)
+     */
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    /**
+     * Log at info level
+     * @param {string} message - Message
+     * @param {Object} fields - Structured fields (optional)
+     */
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    /**
+     * Log at warn level
+     * @param {string} message - Message
+     * @param {Object} fields - Structured fields (optional)
+     */
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    /**
+     * Log at error level
+     * @param {string} message - Message
+     * @param {Object} fields - Structured fields (optional); an `error` field is serialized with its stack
+     */
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    /**
+     * Run a function with request context (e.g. { requestId }) attached to every entry it logs
+     * @param {Object} context - Context fields
+     * @param {Function} fn - Function to run
+     * @returns {*} The function's return value
+     */
+    runWithContext(context, fn) {
+        return this.context.run({ ...context }, fn);
+    }
+
+    /**
+     * Add fields to the current request context (e.g. userId after authentication)
+     * @param {Object} fields - Context fields
+     */
+    addContext(fields) {
+        const store = this.context.getStore();
+        if (store) {
+            Object.assign(store, fields);
+        }
+    }
+
+    /**
+     * Current request context
+     * @returns {Object} Context fields, empty outside a request
+     */
+    getContext() {
+        return this.context.getStore() || {};
+    }
+
+    /**
+     * Format and write one entry
+     * @param {string} level - Level name
+     * @param {string} message - Message
+     * @param {Object} fields - Structured fields
+     */
+    write(level, message, fields = {}) {
+        if (LEVELS[level] < this.level) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: this.redactString(String(message)),
+            ...this.getContext(),
+            ...this.redact(fields)
+        };
+
+        const line = this.format === 'json' ? JSON.stringify(entry) : this.formatPretty(entry);
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${line}\n`);
+    }
+
+    /**
+     * Format an entry for reading in a terminal
+     * @param {Object} entry - Log entry
+     * @returns {string} "12:00:00.000 INFO  message key=value [requestId]"
+     */
+    formatPretty(entry) {
+        const { time, level, msg, requestId, error, ...fields } = entry;
+        const color = process.stdout.isTTY ? PRETTY_COLORS[level] : '';
+        const reset = color ? '\x1b[0m' : '';
+
+        const details = Object.entries(fields)
+            .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+            .join(' ');
+
+        let line = `${time.slice(11, 23)} ${color}${level.toUpperCase().padEnd(5)}${reset} ${msg}`;
+        if (details) line += ` ${details}`;
+        if (requestId) line += ` [${requestId}]`;
+        if (error) line += `\n${error.stack || `${error.name}: ${error.message}`}`;
+        return line;
+    }
+
+    /**
+     * Redact a value recursively
+     * @param {*} value - Value to redact
+     * @param {number} depth - Current depth (nested objects beyond 5 levels are dropped)
+     * @returns {*} Redacted copy
+     */
+    redact(value, depth = 0) {
+        if (value === null || value === undefined) return value;
+        if (typeof value === 'string') return this.redactString(value);
+        if (typeof value !== 'object') return value;
+        if (depth > 5) return '[Truncated]';
+
+        if (value instanceof Error) {
+            // Only these fields: an Axios error also holds the request config, headers included
+            return this.redact({
+                name: value.name,
+                message: value.message,
+                ...(value.code ? { code: value.code } : {}),
+                ...(value.status ? { status: value.status } : {}),
+                stack: value.stack
+            }, depth + 1);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item, depth + 1));
+        }
+
+        const redacted = {};
+        for (const [key, fieldValue] of Object.entries(value)) {
+            redacted[key] = SECRET_FIELDS.test(key) && fieldValue ? '[REDACTED]' : this.redact(fieldValue, depth + 1);
+        }
+        return redacted;
+    }
+
+    /**
+     * Redact secrets in a string
+     * @param {string} text - Text
+     * @returns {string} Redacted text
+     */
+    redactString(text) {
+        let result = redactSecrets(text)
+            .replace(BEARER_TOKEN, '$1[REDACTED]')
+            .replace(JWT, '[REDACTED]');
+        for (const secret of this.secrets) {
+            result = result.split(secret).join('[REDACTED]');
+        }
+        return result;
+    }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,147 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics
+ *
+ * One registry for the process, served by GET /metrics. Counters are kept
+ * in memory, so each server instance (or Vercel function instance) reports
+ * its own values; Prometheus sums them across instances.
+ */
+class Metrics {
+    constructor() {
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry });
+
+        this.httpRequests = new client.Counter({
+            name: 'http_requests_total',
+            help: 'HTTP requests by route and status',
+            labelNames: ['method', 'route', 'status'],
+            registers: [this.registry]
+        });
+        this.httpDuration = new client.Histogram({
+            name: 'http_request_duration_seconds',
+            help: 'HTTP request latency by route',
+            labelNames: ['method', 'route'],
+            buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+            registers: [this.registry]
+        });
+
+        this.upstreamRequests = new client.Counter({
+            name: 'upstream_requests_total',
+            help: 'Calls to external services by outcome (success, error, timeout)',
+            labelNames: ['upstream', 'outcome', 'status'],
+            registers: [this.registry]
+        });
+        this.upstreamDuration = new client.Histogram({
+            name: 'upstream_request_duration_seconds',
+            help: 'External service latency',
+            labelNames: ['upstream'],
+            buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+            registers: [this.registry]
+        });
+
+        this.scans = new client.Counter({
+            name: 'scans_total',
+            help: 'Scans by mode and result (success or a degraded-mode error code)',
+            labelNames: ['mode', 'result'],
+            registers: [this.registry]
+        });
+
+        this.cacheLookups = new client.Counter({
+            name: 'cache_lookups_total',
+            help: 'Metadata cache lookups by namespace and result (hit or miss)',
+            labelNames: ['namespace', 'result'],
+            registers: [this.registry]
+        });
+        this.cacheCounts = {};
+        const cacheCounts = this.cacheCounts;
+        this.cacheHitRatio = new client.Gauge({
+            name: 'cache_hit_ratio',
+            help: 'Share of metadata cache lookups answered from the cache since startup',
+            labelNames: ['namespace'],
+            registers: [this.registry],
+            collect() {
+                for (const [namespace, { hits, misses }] of Object.entries(cacheCounts)) {
+                    this.set({ namespace }, hits / (hits + misses));
+                }
+            }
+        });
+
+        this.rateLimitRejections = new client.Counter({
+            name: 'rate_limit_rejections_total',
+            help: 'Requests rejected by a rate limiter, by limiter and the limit that was hit',
+            labelNames: ['limiter', 'limit'],
+            registers: [this.registry]
+        });
+    }
+
+    /**
+     * Record a finished HTTP request
+     * @param {Object} request - { method, route, status, durationSeconds }
+     */
+    observeRequest({ method, route, status, durationSeconds }) {
+        this.httpRequests.inc({ method, route, status: String(status) });
+        this.httpDuration.observe({ method, route }, durationSeconds);
+    }
+
+    /**
+     * Record a call to an external service
+     * @param {Object} call - { upstream, outcome: 'success'|'error'|'timeout', status, durationSeconds }
+     */
+    observeUpstream({ upstream, outcome, status, durationSeconds }) {
+        this.upstreamRequests.inc({ upstream, outcome, status: status ? String(status) : 'none' });
+        this.upstreamDuration.observe({ upstream }, durationSeconds);
+    }
+
+    /**
+     * Record the result of a scan
+     * @param {string} mode - 'cover' or 'shelf'
+     * @param {string} result - 'success' or an error code
+     */
+    recordScan(mode, result) {
+        this.scans.inc({ mode, result });
+    }
+
+    /**
+     * Record a metadata cache lookup
+     * @param {string} namespace - Cache key namespace (e.g. 'books', 'papers')
+     * @param {boolean} hit - Whether the value came from the cache
+     */
+    recordCacheLookup(namespace, hit) {
+        this.cacheLookups.inc({ namespace, result: hit ? 'hit' : 'miss' });
+
+        const counts = this.cacheCounts[namespace] || (this.cacheCounts[namespace] = { hits: 0, misses: 0 });
+        if (hit) {
+            counts.hits++;
+        } else {
+            counts.misses++;
+        }
+    }
+
+    /**
+     * Record a request rejected by a rate limiter
+     * @param {string} limiter - Limiter name (e.g. 'api', 'scan')
+     * @param {string} limit - Which limit was hit ('ip', 'user' or 'daily')
+     */
+    recordRateLimitRejection(limiter, limit) {
+        this.rateLimitRejections.inc({ limiter, limit });
+    }
+
+    /**
+     * Render all metrics in the Prometheus text format
+     * @returns {Promise<string>} Metrics text
+     */
+    render() {
+        return this.registry.metrics();
+    }
+
+    /**
+     * Content type for render()
+     * @returns {string} Prometheus text format content type
+     */
+    get contentType() {
+        return this.registry.contentType;
+    }
+}
+
+module.exports = new Metrics();
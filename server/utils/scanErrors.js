@@ -0,0 +1,98 @@
+/**
+ * Degraded-mode scan failures
+ *
+ * A failed scan is reported as { success: false, code, error, retryable,
+ * partial } rather than a made-up result, so the client can offer the right
+ * recovery step instead of saving a junk entry:
+ *
+ * - timeout: the vision provider didn't answer in time (retry)
+ * - quota: the provider's rate limit or quota is used up (try again later)
+ * - parse_failure: the image was processed but the answer was unusable;
+ *   partial holds any fields that could still be read (retake the photo)
+ * - provider_down: the provider is unreachable or erroring (retry)
+ */
+
+const { AppError, redactSecrets } = require('./errors');
+
+const SCAN_ERROR_CODES = {
+    timeout: { status: 504, retryable: true },
+    quota: { status: 429, retryable: true },
+    parse_failure: { status: 502, retryable: false },
+    provider_down: { status: 502, retryable: true }
+};
+
+class ScanError extends AppError {
+    /**
+     * @param {string} code - One of SCAN_ERROR_CODES
+     * @param {string} message - User-facing message
+     * @param {Object} options - Options
+     * @param {Object} options.partial - Fields recovered before the failure (optional)
+     * @param {number} options.retryAfter - Seconds to wait before retrying (optional)
+     * @param {boolean} options.retryable - Override the code's default retryable flag (optional)
+     */
+    constructor(code, message, { partial = null, retryAfter = null, retryable } = {}) {
+        super(message, { status: SCAN_ERROR_CODES[code].status, code });
+        this.retryable = retryable === undefined ? SCAN_ERROR_CODES[code].retryable : retryable;
+        this.partial = partial;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * Response body for the scan endpoints
+     * @param {string} requestId - Request ID (optional)
+     * @returns {Object} { success: false, error, code, requestId, retryable, partial, retryAfter }
+     */
+    toResponse(requestId) {
+        return {
+            ...super.toResponse(requestId),
+            retryable: this.retryable,
+            partial: this.partial,
+            ...(this.retryAfter ? { retryAfter: this.retryAfter } : {})
+        };
+    }
+}
+
+/**
+ * Classify a failed vision API request
+ * @param {Error} error - Axios error
+ * @param {string} provider - Provider name for messages (e.g. 'Gemini')
+ * @returns {ScanError} Classified error
+ */
+function fromProviderError(error, provider) {
+    if (error instanceof ScanError) {
+        return error;
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new ScanError('timeout', `${provider} took too long to respond - please try again`);
+    }
+
+    if (error.response) {
+        const status = error.response.status;
+        const apiMessage = redactSecrets(error.response.data?.error?.message || 'Unknown API error');
+        const apiStatus = error.response.data?.error?.status || error.response.data?.error?.code;
+
+        if (status === 429 || apiStatus === 'RESOURCE_EXHAUSTED' || apiStatus === 'insufficient_quota') {
+            const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+            return new ScanError('quota', `${provider} quota exceeded - please try again later`, {
+                retryAfter: isNaN(retryAfter) ? null : retryAfter
+            });
+        }
+        if (status === 408 || status === 504) {
+            return new ScanError('timeout', `${provider} took too long to respond - please try again`);
+        }
+        // Other 4xx answers (bad key, rejected request) won't go away on retry
+        return new ScanError('provider_down', `${provider} API error: ${apiMessage}`, {
+            retryable: status >= 500
+        });
+    }
+
+    // No response at all: DNS failure, connection refused, reset, ...
+    return new ScanError('provider_down', `${provider} is unavailable: ${redactSecrets(error.message)}`);
+}
+
+module.exports = {
+    SCAN_ERROR_CODES,
+    ScanError,
+    fromProviderError
+};
@@ -0,0 +1,91 @@
+const axios = require('axios');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Upstream names by host, for logs (and anything else that groups by upstream)
+const UPSTREAM_HOSTS = {
+    'generativelanguage.googleapis.com': 'gemini',
+    'www.googleapis.com': 'google_books',
+    'api.openai.com': 'openai',
+    'api.semanticscholar.org': 'semantic_scholar',
+    'api.crossref.org': 'crossref',
+    'export.arxiv.org': 'arxiv',
+    'scholar.google.com': 'google_scholar'
+};
+
+let instrumented = false;
+
+/**
+ * Name the upstream service a URL belongs to
+ * @param {string} url - Request URL
+ * @returns {string} Upstream name, or the host for unknown services
+ */
+function upstreamName(url) {
+    try {
+        const { host } = new URL(url);
+        if (host.endsWith('.supabase.co')) return 'supabase';
+        return UPSTREAM_HOSTS[host] || host;
+    } catch (error) {
+        return 'unknown';
+    }
+}
+
+/**
+ * Log method, URL (without the query string, which may hold keys), status
+ * and duration for every request made with the shared axios instance, and
+ * record the outcome in the upstream metrics
+ * Safe to call more than once.
+ */
+function instrumentAxios() {
+    if (instrumented) return;
+    instrumented = true;
+
+    axios.interceptors.request.use(requestConfig => {
+        requestConfig.startedAt = process.hrtime.bigint();
+        return requestConfig;
+    });
+
+    const logCompletion = (requestConfig, status, error) => {
+        if (!requestConfig || !requestConfig.startedAt) return;
+
+        const url = axios.getUri({ ...requestConfig, params: undefined }).split('?')[0];
+        const durationSeconds = Number(process.hrtime.bigint() - requestConfig.startedAt) / 1e9;
+        const fields = {
+            upstream: upstreamName(url),
+            method: (requestConfig.method || 'get').toUpperCase(),
+            url,
+            status: status || null,
+            durationMs: Math.round(durationSeconds * 10000) / 10
+        };
+
+        const timeout = error && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT');
+        metrics.observeUpstream({
+            upstream: fields.upstream,
+            outcome: error ? (timeout ? 'timeout' : 'error') : 'success',
+            status,
+            durationSeconds
+        });
+
+        if (error) {
+            logger.warn('upstream request failed', { ...fields, code: error.code || null });
+        } else {
+            logger.info('upstream request', fields);
+        }
+    };
+
+    axios.interceptors.response.use(
+        response => {
+            logCompletion(response.config, response.status);
+            return response;
+        },
+        error => {
+            logCompletion(error.config, error.response && error.response.status, error);
+            return Promise.reject(error);
+        }
+    );
+}
+
+module.exports = {
+    instrumentAxios,
+    upstreamName
+};